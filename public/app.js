@@ -163,7 +163,9 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('videoName').textContent = name;
         document.getElementById('videoDuration').textContent = `⏱️ ${quality.durationFormatted}`;
         document.getElementById('videoSize').textContent = `📦 ${quality.fileSizeFormatted}`;
-        document.getElementById('videoCodec').textContent = `🎞️ ${quality.codec}`;
+        document.getElementById('videoCodec').textContent = `🎞️ ${quality.codec}`
+            + (quality.frameRate ? ` • ${quality.frameRate} fps` : '')
+            + (quality.remux ? ' → MP4 (remuxed)' : '');
 
         // Source quality badge
         document.getElementById('sourceResolution').textContent = quality.resolution;
@@ -215,6 +217,28 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Request a stream link for the current video
+    async function requestStreamLink() {
+        // Pass fileId directly for faster processing (skip URL parsing on server)
+        const response = await fetch('/api/generate-link', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                fileId: currentVideoData.fileId,
+                quality: selectedQuality,
+                expiresIn: document.getElementById('expirySelect').value
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to generate link');
+        }
+
+        return data.data;
+    }
+
     // Generate stream link
     generateBtn.addEventListener('click', async () => {
         if (!currentVideoData) return;
@@ -223,23 +247,7 @@ document.addEventListener('DOMContentLoaded', () => {
         hideError();
 
         try {
-            // Pass fileId directly for faster processing (skip URL parsing on server)
-            const response = await fetch('/api/generate-link', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    fileId: currentVideoData.fileId,
-                    quality: selectedQuality
-                })
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                throw new Error(data.message || data.error || 'Failed to generate link');
-            }
-
-            displayResult(data.data);
+            displayResult(await requestStreamLink());
 
             // Transition to result
             step2.classList.add('hidden');
@@ -254,21 +262,103 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Display result
     function displayResult(data) {
-        const { streamUrl, selectedQuality: qualityOption } = data;
+        const { streamUrl, hlsUrl, contentType = 'video/mp4', selectedQuality: qualityOption } = data;
 
         document.getElementById('streamUrl').value = streamUrl;
+
+        // Adaptive HLS ladder (optional - requires ffmpeg on the server)
+        document.getElementById('hlsUrl').value = hlsUrl || '';
+        document.getElementById('hlsUrlDisplay').classList.toggle('hidden', !hlsUrl);
         document.getElementById('selectedQualityInfo').textContent =
             `${qualityOption.label} • ${qualityOption.width}×${qualityOption.height} • ${qualityOption.bitrateLabel}`;
 
+        // Transcoded and remuxed streams have no length or byte ranges (Safari/iOS
+        // will not play them, and they only seek with ?start=) - play the HLS ladder instead
+        const encodedLive = !qualityOption.isOriginal || Boolean(data.quality?.remux);
+        const useHls = encodedLive && Boolean(hlsUrl);
+        const playUrl = useHls ? hlsUrl : streamUrl;
+
         // Video player
-        const videoPlayer = document.getElementById('videoPlayer');
-        videoPlayer.src = streamUrl;
+        playDriveStream(document.getElementById('videoPlayer'), playUrl, useHls);
 
         // Embed code
-        const embedCode = `<video controls width="640" height="360">\n  <source src="${streamUrl}" type="video/mp4">\n</video>`;
+        const embedCode = generateEmbedCode(playUrl, { type: useHls ? 'HLS' : 'MP4', mimeType: contentType });
         document.getElementById('embedCode').textContent = embedCode;
+
+        // Remaining lifetime
+        startExpiryCountdown(data.expiresAt);
+    }
+
+    // Play a Drive link - through hls.js for HLS (Safari plays it natively)
+    let driveHls = null;
+
+    function playDriveStream(video, url, isHls) {
+        if (driveHls) {
+            driveHls.destroy();
+            driveHls = null;
+        }
+
+        if (isHls && typeof Hls !== 'undefined' && Hls.isSupported()) {
+            driveHls = new Hls();
+            driveHls.loadSource(url);
+            driveHls.attachMedia(video);
+        } else {
+            video.src = url;
+        }
+    }
+
+    // Show how long the current link stays valid, refreshed every 30s
+    let expiryInterval = null;
+
+    function startExpiryCountdown(expiresAt) {
+        const el = document.getElementById('expiryRemaining');
+
+        if (expiryInterval) {
+            clearInterval(expiryInterval);
+            expiryInterval = null;
+        }
+
+        if (!expiresAt) {
+            el.textContent = '♾️ Never expires';
+            return;
+        }
+
+        const update = () => {
+            const remainingMs = new Date(expiresAt).getTime() - Date.now();
+            el.textContent = remainingMs > 0
+                ? `Expires in ${formatRemaining(remainingMs)}`
+                : 'Expired - generate a new link';
+        };
+
+        update();
+        expiryInterval = setInterval(update, 30000);
+    }
+
+    // Format a duration as "2d 4h", "3h 12m" or "45m"
+    function formatRemaining(ms) {
+        const totalMinutes = Math.ceil(ms / 60000);
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m`;
     }
 
+    // Changing the lifetime re-issues the link
+    document.getElementById('expirySelect').addEventListener('change', async () => {
+        if (!currentVideoData) return;
+
+        hideError();
+
+        try {
+            displayResult(await requestStreamLink());
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+
     // Change video button
     document.getElementById('changeVideoBtn').addEventListener('click', () => {
         step2.classList.add('hidden');
@@ -290,6 +380,12 @@ document.addEventListener('DOMContentLoaded', () => {
         await copyToClipboard(urlInput.value, document.getElementById('copyBtn'));
     });
 
+    // Copy HLS URL button
+    document.getElementById('copyHlsBtn').addEventListener('click', async () => {
+        const hlsInput = document.getElementById('hlsUrl');
+        await copyToClipboard(hlsInput.value, document.getElementById('copyHlsBtn'));
+    });
+
     // Copy embed code button
     document.getElementById('copyEmbedBtn').addEventListener('click', async () => {
         const embedCode = document.getElementById('embedCode').textContent;
@@ -300,22 +396,51 @@ document.addEventListener('DOMContentLoaded', () => {
     // UNIVERSAL STREAM MODULE
     // ==========================================
 
-    // Detect stream type from URL
-    function detectStreamType(url) {
-        const urlLower = url.toLowerCase();
-        if (urlLower.includes('.m3u8') || urlLower.includes('hls')) {
-            return { type: 'HLS', extension: 'm3u8', icon: '📺' };
-        } else if (urlLower.includes('.mpd') || urlLower.includes('dash')) {
-            return { type: 'DASH', extension: 'mpd', icon: '📡' };
-        } else if (urlLower.includes('.mp4')) {
-            return { type: 'MP4', extension: 'mp4', icon: '🎬' };
-        } else if (urlLower.includes('.webm')) {
-            return { type: 'WebM', extension: 'webm', icon: '🎥' };
-        } else if (urlLower.includes('.mkv')) {
-            return { type: 'MKV', extension: 'mkv', icon: '🎞️' };
-        } else {
-            return { type: 'Universal', extension: 'stream', icon: '🌐' };
+    // Stream types reported by the probe API
+    const STREAM_TYPES = {
+        HLS: { icon: '📺', mimeType: 'application/vnd.apple.mpegurl' },
+        DASH: { icon: '📡', mimeType: 'application/dash+xml' },
+        MP4: { icon: '🎬', mimeType: 'video/mp4' },
+        MOV: { icon: '🎬', mimeType: 'video/quicktime' },
+        WebM: { icon: '🎥', mimeType: 'video/webm' },
+        MKV: { icon: '🎞️', mimeType: 'video/x-matroska' },
+        TS: { icon: '📼', mimeType: 'video/mp2t' },
+        Universal: { icon: '🌐', mimeType: null }
+    };
+
+    function streamTypeInfo(type) {
+        return { type, ...(STREAM_TYPES[type] || STREAM_TYPES.Universal) };
+    }
+
+    // Ask the server what a source serves (type, duration, variants)
+    async function probeStream(url) {
+        const response = await fetch('/api/universal/probe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sourceUrl: url })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to probe stream');
         }
+        return data.data;
+    }
+
+    // Last resort for Direct Mode when the server cannot reach the source
+    function guessStreamType(url) {
+        const path = url.toLowerCase().split(/[?#]/)[0];
+        const extensions = { '.m3u8': 'HLS', '.mpd': 'DASH', '.mp4': 'MP4', '.mov': 'MOV', '.webm': 'WebM', '.mkv': 'MKV', '.ts': 'TS' };
+        const match = Object.keys(extensions).find(extension => path.endsWith(extension));
+        return match ? extensions[match] : 'Universal';
+    }
+
+    // "1:02:03" / "4:05"
+    function formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
     }
 
     // Universal Stream form submission
@@ -335,10 +460,17 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             // Direct Mode - bypass proxy completely, play directly in browser
             if (directMode) {
-                const detected = detectStreamType(streamUrl);
+                // The probe can fail where the browser succeeds (e.g. Cloudflare) - fall back to the URL
+                let probe = null;
+                try {
+                    probe = await probeStream(streamUrl);
+                } catch (error) {
+                    console.warn('Probe failed, guessing the type from the URL:', error.message);
+                }
                 displayUniversalResult({
                     proxyUrl: streamUrl, // Use original URL directly
-                    streamType: detected.type,
+                    streamType: probe ? probe.type : guessStreamType(streamUrl),
+                    probe,
                     buffering: enableBuffer,
                     proxied: false,
                     directMode: true,
@@ -383,18 +515,27 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Display universal stream result
     function displayUniversalResult(data, originalUrl) {
-        const { proxyUrl, streamType, buffering, directMode } = data;
-        const detected = detectStreamType(originalUrl);
+        const { proxyUrl, streamType, probe, buffering, directMode } = data;
+        const detected = streamTypeInfo(streamType);
 
         // Update stats
         document.getElementById('bufferStatus').textContent = buffering ? 'Active' : 'Disabled';
-        document.getElementById('detectedType').textContent = streamType || detected.type;
+        document.getElementById('detectedType').textContent = detected.type;
         document.getElementById('proxyStatus').textContent = directMode ? '🔓 Direct' : (data.proxied ? 'Active' : 'Disabled');
 
         // Update stream type info
         const modeLabel = directMode ? '🔓 Direct playback (no proxy)' : (buffering ? 'Enhanced buffering' : 'Standard playback');
+        const details = [];
+        if (probe && probe.live) {
+            details.push('Live');
+        } else if (probe && probe.duration) {
+            details.push(formatDuration(probe.duration));
+        }
+        if (probe && probe.variants.length > 0) {
+            details.push(`${probe.variants.length} variants`);
+        }
         document.getElementById('universalStreamType').textContent =
-            `${detected.icon} ${detected.type} stream • ${modeLabel}`;
+            [`${detected.icon} ${detected.type} stream`, ...details, modeLabel].join(' • ');
 
         // Set the URL
         document.getElementById('universalStreamUrl').value = proxyUrl;
@@ -403,7 +544,7 @@ document.addEventListener('DOMContentLoaded', () => {
         setupUniversalPlayer(proxyUrl, detected.type, originalUrl, directMode);
 
         // Embed code
-        const embedCode = generateEmbedCode(proxyUrl, detected.type, directMode);
+        const embedCode = generateEmbedCode(proxyUrl, detected, directMode);
         document.getElementById('universalEmbedCode').textContent = embedCode;
     }
 
@@ -840,9 +981,9 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Generate embed code based on stream type
-    function generateEmbedCode(proxyUrl, streamType, directMode = false) {
+    function generateEmbedCode(proxyUrl, { type, mimeType }, directMode = false) {
         const note = directMode ? '<!-- NOTE: This uses the original URL directly. May not work on all sites due to CORS. -->\n' : '';
-        if (streamType === 'HLS') {
+        if (type === 'HLS') {
             return `${note}<!-- Include HLS.js for best compatibility -->
 <script src="https://cdn.jsdelivr.net/npm/hls.js@latest"></script>
 <video id="video" controls width="640" height="360"></video>
@@ -858,7 +999,7 @@ document.addEventListener('DOMContentLoaded', () => {
 </script>`;
         } else {
             return `${note}<video controls width="640" height="360">
-  <source src="${proxyUrl}" type="video/${streamType.toLowerCase()}">
+  <source src="${proxyUrl}"${mimeType ? ` type="${mimeType}"` : ''}>
 </video>`;
         }
     }
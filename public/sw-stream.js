@@ -54,6 +54,9 @@ function isStreamRequest(url) {
         path.endsWith('.ts') ||
         path.endsWith('.m4s') ||
         path.endsWith('.mp4') ||
+        path.endsWith('.webm') ||
+        path.endsWith('.mov') ||
+        path.endsWith('.mkv') ||
         path.includes('/hls/') ||
         path.includes('/segment') ||
         url.href.includes('m3u8') ||
@@ -0,0 +1,101 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const path = require('path');
+
+const { createConfig } = require('./config');
+const streamRoutes = require('./routes/stream');
+const apiRoutes = require('./routes/api');
+const hlsRoutes = require('./routes/hls');
+
+/**
+ * Build the Express app shared by the local server and the Vercel function
+ * Routes read the active config from req.app.locals.config
+ */
+function createApp(config = createConfig()) {
+    const app = express();
+    app.locals.config = config;
+
+    // Client IPs (link creators, IP constraints) are only read from X-Forwarded-For behind a trusted proxy
+    app.set('trust proxy', config.trustProxy);
+
+    // Security middleware
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                scriptSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdn.jsdelivr.net"],
+                styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+                fontSrc: ["'self'", "https://fonts.gstatic.com"],
+                imgSrc: ["'self'", "data:", "https:"],
+                mediaSrc: ["'self'", "blob:", "https:", "http:"],
+                connectSrc: ["'self'", "https:", "http:"]
+            }
+        },
+        crossOriginEmbedderPolicy: false,
+        crossOriginResourcePolicy: { policy: "cross-origin" }
+    }));
+
+    // CORS configuration
+    app.use(cors({
+        origin: config.isProduction
+            ? config.allowedOrigins || true
+            : true,
+        methods: ['GET', 'HEAD', 'POST', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Range', 'Content-Type', 'Authorization', 'If-Range', 'If-None-Match', 'If-Modified-Since'],
+        exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type', 'ETag', 'Last-Modified']
+    }));
+
+    // Logging
+    app.use(morgan('combined'));
+
+    // Parse JSON bodies
+    app.use(express.json());
+
+    // Serve static frontend files (Vercel serves public/ itself)
+    if (config.serveFrontend) {
+        app.use(express.static(path.join(__dirname, '../public')));
+    }
+
+    // Health check
+    app.get(['/health', '/api/health'], (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            environment: config.target
+        });
+    });
+
+    // API routes
+    app.use('/api', apiRoutes);
+
+    // HLS packaging routes (master.m3u8, media playlists, segments)
+    app.use(config.streamPrefix, hlsRoutes);
+
+    // Stream routes (handles .mp4/.webm/.mov/.mkv URLs)
+    app.use(config.streamPrefix, streamRoutes);
+
+    // Catch-all for SPA (serve index.html for unmatched routes)
+    app.get('*', (req, res) => {
+        // Don't serve index.html for API or stream routes
+        if (!config.serveFrontend || req.path.startsWith('/api') || req.path.startsWith(config.streamPrefix)) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        res.sendFile(path.join(__dirname, '../public/index.html'));
+    });
+
+    // Error handler
+    app.use((err, req, res, next) => {
+        console.error('Error:', err);
+        res.status(err.status || 500).json({
+            error: config.isProduction
+                ? 'Internal server error'
+                : err.message
+        });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
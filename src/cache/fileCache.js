@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Disk-backed cache - one JSON file per key
+ * Survives restarts and is shared by every process pointed at the same directory
+ * (cluster workers, or serverless instances with a shared mount)
+ *
+ * Lookups are answered from an in-memory LRU index, so they never touch the disk:
+ * the directory is loaded into it at startup, writes go to disk in the background,
+ * and a key missing from the index (written by another process) is read from disk
+ * for the next lookup.
+ */
+class FileCache {
+    constructor({ dir, ttl = 5 * 60 * 1000, maxEntries = 10000 } = {}) {
+        if (!dir) {
+            throw new Error('FileCache requires a directory');
+        }
+
+        this.dir = dir;
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+
+        // key -> { value, expires }, least recently used first
+        this.entries = new Map();
+
+        // Keys being read from disk after a miss
+        this.loading = new Set();
+
+        // Latest write per key, so writes of one key land in order
+        this.writes = new Map();
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.ready = this.loadIndex();
+    }
+
+    /**
+     * File holding a key (hashed so any key is a safe filename)
+     */
+    filePath(key) {
+        const hash = crypto.createHash('sha1').update(String(key)).digest('hex');
+        return path.join(this.dir, `${hash}.json`);
+    }
+
+    /**
+     * Read an entry from disk, or null if missing/unreadable
+     */
+    async readEntry(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Load the entries on disk into the index, least recently written first
+     * (entries set meanwhile are newer and win)
+     */
+    async loadIndex() {
+        const now = Date.now();
+        const loaded = [];
+
+        for (const file of await this.listFiles()) {
+            const entry = await this.readEntry(file);
+            if (!entry || entry.expires <= now) {
+                this.removeFile(file);
+                continue;
+            }
+            try {
+                const { mtimeMs } = await fs.promises.stat(file);
+                loaded.push({ entry, mtimeMs });
+            } catch {
+                // Removed by another process
+            }
+        }
+
+        loaded.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+        const entries = new Map();
+        for (const { entry } of loaded) {
+            if (!this.entries.has(entry.key)) {
+                entries.set(entry.key, { value: entry.value, expires: entry.expires });
+            }
+        }
+        for (const [key, entry] of this.entries) {
+            entries.set(key, entry);
+        }
+        this.entries = entries;
+        this.evict();
+    }
+
+    /**
+     * Get a value, or undefined if missing/expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.counters.misses++;
+            this.loadKey(key);
+            return undefined;
+        }
+
+        if (entry.expires <= Date.now()) {
+            this.delete(key);
+            this.counters.expirations++;
+            this.counters.misses++;
+            return undefined;
+        }
+
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        this.counters.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Pick up an entry another process wrote, for the next lookup
+     */
+    loadKey(key) {
+        if (this.loading.has(key)) {
+            return;
+        }
+        this.loading.add(key);
+
+        this.readEntry(this.filePath(key))
+            .then((entry) => {
+                if (entry && entry.key === key && entry.expires > Date.now() && !this.entries.has(key)) {
+                    this.entries.set(key, { value: entry.value, expires: entry.expires });
+                    this.evict();
+                }
+            })
+            .finally(() => this.loading.delete(key));
+    }
+
+    /**
+     * Store a value (ttl in ms overrides the cache default)
+     */
+    set(key, value, ttl = this.ttl) {
+        const entry = { value, expires: Date.now() + ttl };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.counters.sets++;
+        this.evict();
+
+        this.queueWrite(key, () => this.writeEntry(key, entry));
+    }
+
+    /**
+     * Run a disk write for a key after the previous one finished
+     */
+    queueWrite(key, write) {
+        const previous = this.writes.get(key) || Promise.resolve();
+        const next = previous.then(write);
+
+        this.writes.set(key, next);
+        next.finally(() => {
+            if (this.writes.get(key) === next) {
+                this.writes.delete(key);
+            }
+        });
+    }
+
+    async writeEntry(key, { value, expires }) {
+        const file = this.filePath(key);
+
+        // Write then rename so concurrent readers never see a partial file
+        const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        try {
+            await fs.promises.writeFile(tempFile, JSON.stringify({ key, value, expires }));
+            await fs.promises.rename(tempFile, file);
+        } catch (error) {
+            this.removeFile(tempFile);
+            console.error('File cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Drop the least recently used entries over maxEntries
+     */
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.delete(oldestKey);
+            this.counters.evictions++;
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        this.queueWrite(key, () => this.removeFile(this.filePath(key)));
+    }
+
+    async removeFile(file) {
+        try {
+            await fs.promises.unlink(file);
+        } catch {
+            // Already gone
+        }
+    }
+
+    /**
+     * List cache files
+     */
+    async listFiles() {
+        try {
+            return (await fs.promises.readdir(this.dir))
+                .filter(name => name.endsWith('.json'))
+                .map(name => path.join(this.dir, name));
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Drop all expired entries
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expires <= now) {
+                this.delete(key);
+                this.counters.expirations++;
+            }
+        }
+    }
+
+    clear() {
+        for (const key of this.entries.keys()) {
+            this.delete(key);
+        }
+        this.listFiles().then(files => files.forEach(file => this.removeFile(file)));
+    }
+
+    /**
+     * Hit/miss counters and current size (counters are per process)
+     */
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            backend: 'file',
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ...this.counters,
+            hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : 0
+        };
+    }
+}
+
+module.exports = FileCache;
@@ -0,0 +1,43 @@
+const os = require('os');
+const path = require('path');
+const MemoryCache = require('./memoryCache');
+const FileCache = require('./fileCache');
+
+// Every cache created, by namespace - used for stats reporting
+const caches = new Map();
+
+/**
+ * Create a cache for a namespace using the configured backend
+ *
+ * CACHE_BACKEND=memory (default) - per-process LRU
+ * CACHE_BACKEND=file             - JSON files under CACHE_DIR/<namespace>
+ */
+function createCache(namespace, { ttl, maxEntries } = {}) {
+    const backend = process.env.CACHE_BACKEND || 'memory';
+    let cache;
+
+    if (backend === 'file') {
+        const baseDir = process.env.CACHE_DIR || path.join(os.tmpdir(), 'streamfreely-cache');
+        cache = new FileCache({ dir: path.join(baseDir, namespace), ttl, maxEntries });
+    } else if (backend === 'memory') {
+        cache = new MemoryCache({ ttl, maxEntries });
+    } else {
+        throw new Error(`Unknown CACHE_BACKEND: ${backend} (expected "memory" or "file")`);
+    }
+
+    caches.set(namespace, cache);
+    return cache;
+}
+
+/**
+ * Stats for every cache, keyed by namespace
+ */
+function getCacheStats() {
+    const stats = {};
+    for (const [namespace, cache] of caches) {
+        stats[namespace] = cache.stats();
+    }
+    return stats;
+}
+
+module.exports = { createCache, getCacheStats, MemoryCache, FileCache };
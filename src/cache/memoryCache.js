@@ -0,0 +1,90 @@
+/**
+ * In-process LRU cache bounded by entry count and TTL
+ * A Map keeps insertion order, so re-inserting on read makes the first key the least recently used
+ */
+class MemoryCache {
+    constructor({ ttl = 5 * 60 * 1000, maxEntries = 1000 } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+    }
+
+    /**
+     * Get a value, or undefined if missing/expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.counters.misses++;
+            return undefined;
+        }
+
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            this.counters.expirations++;
+            this.counters.misses++;
+            return undefined;
+        }
+
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        this.counters.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Store a value (ttl in ms overrides the cache default)
+     */
+    set(key, value, ttl = this.ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires: Date.now() + ttl });
+        this.counters.sets++;
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.counters.evictions++;
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Drop all expired entries
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expires <= now) {
+                this.entries.delete(key);
+                this.counters.expirations++;
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Hit/miss counters and current size
+     */
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            backend: 'memory',
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ...this.counters,
+            hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : 0
+        };
+    }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,78 @@
+/**
+ * Deployment targets
+ * The target decides the URL layout; everything else is shared
+ */
+const TARGETS = {
+    // Long-running Express server (npm start)
+    server: { streamPrefix: '/stream', serveFrontend: true },
+    // Vercel serverless function - only /api/* reaches the function (see vercel.json)
+    vercel: { streamPrefix: '/api/stream', serveFrontend: false }
+};
+
+/**
+ * TRUST_PROXY as an Express "trust proxy" value: true/false, a hop count,
+ * or a comma-separated list of trusted addresses/subnets
+ */
+function parseTrustProxy(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    return value.split(',').map(entry => entry.trim());
+}
+
+/**
+ * Build the app configuration for a deployment target
+ * Defaults to "vercel" when running on Vercel, "server" otherwise
+ */
+function createConfig(target = process.env.VERCEL ? 'vercel' : 'server') {
+    const defaults = TARGETS[target];
+
+    if (!defaults) {
+        throw new Error(`Unknown deployment target: ${target}`);
+    }
+
+    // BASE_URL always wins; Vercel falls back to the deployment URL
+    let baseUrl = process.env.BASE_URL || null;
+    if (!baseUrl && target === 'vercel' && process.env.VERCEL_URL) {
+        baseUrl = `https://${process.env.VERCEL_URL}`;
+    }
+
+    return {
+        target,
+        // Express "trust proxy" - decides whether req.ip comes from X-Forwarded-For
+        trustProxy: parseTrustProxy(process.env.TRUST_PROXY, target === 'vercel'),
+        streamPrefix: process.env.STREAM_PATH_PREFIX || defaults.streamPrefix,
+        serveFrontend: defaults.serveFrontend,
+        baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : null,
+        isProduction: process.env.NODE_ENV === 'production',
+        // false coalesces multi-range requests instead of sending multipart/byteranges
+        multipartRanges: process.env.MULTIPART_RANGES !== 'false',
+        // Bearer token for the link registry endpoints (/api/links)
+        adminToken: process.env.ADMIN_TOKEN || null,
+        allowedOrigins: process.env.ALLOWED_ORIGINS
+            ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
+            : null
+    };
+}
+
+/**
+ * Public base URL for links returned to clients
+ * Auto-detected from the request (behind proxies too) when not configured
+ */
+function getBaseUrl(config, req) {
+    if (config.baseUrl) {
+        return config.baseUrl;
+    }
+
+    const protocol = (req.headers['x-forwarded-proto'] || req.protocol || 'https').split(',')[0].trim();
+    const host = (req.headers['x-forwarded-host'] || req.headers.host || req.hostname).split(',')[0].trim();
+    return `${protocol}://${host}`;
+}
+
+module.exports = { createConfig, getBaseUrl };
@@ -1,7 +1,36 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const driveService = require('../services/driveService');
 const tokenService = require('../services/tokenService');
+const transcodeService = require('../services/transcodeService');
+const mediaInfoService = require('../services/mediaInfoService');
+const linkService = require('../services/linkService');
+const accessService = require('../services/accessService');
+const sourcePolicyService = require('../services/sourcePolicyService');
+const upstreamService = require('../services/upstreamService');
+const proxyCacheService = require('../services/proxyCacheService');
+const blockCacheService = require('../services/blockCacheService');
+const poolService = require('../services/poolService');
+const sessionService = require('../services/sessionService');
+const probeService = require('../services/probeService');
+const { SourcePolicyError } = sourcePolicyService;
+const { UpstreamError } = upstreamService;
+const { parsePlaylist, serializePlaylist, rewritePlaylist } = require('../utils/m3u8');
+const { rewriteMpd, splitTemplate } = require('../utils/mpd');
+const { getBaseUrl } = require('../config');
+const { getCacheStats } = require('../cache');
+const { pipeToResponse, resumableStream, getStreamStats } = require('../utils/streaming');
+
+/**
+ * Optional human-readable label for a link (trimmed, max 200 chars)
+ */
+function parseLabel(label) {
+    if (typeof label !== 'string' || !label.trim()) {
+        return null;
+    }
+    return label.trim().substring(0, 200);
+}
 
 /**
  * POST /api/analyze
@@ -46,8 +75,11 @@ router.post('/analyze', async (req, res) => {
             });
         }
 
-        // Analyze video quality
-        const qualityInfo = driveService.analyzeVideoQuality(fileInfo);
+        // Analyze video quality with the container's tracks (once ffmpeg has been
+        // looked for, so the remux flag is accurate)
+        const described = await mediaInfoService.withMediaInfo(fileId, fileInfo);
+        await transcodeService.isAvailable();
+        const qualityInfo = driveService.analyzeVideoQuality(described);
 
         res.json({
             success: true,
@@ -70,11 +102,35 @@ router.post('/analyze', async (req, res) => {
 
 /**
  * POST /api/generate-link
- * Generate a streamable .mp4 URL from a Google Drive link
+ * Generate a streamable URL (.mp4, .webm, .mov or .mkv, after the file's type) from a Google Drive link
  */
 router.post('/generate-link', async (req, res) => {
     try {
-        const { driveUrl, fileId: providedFileId, quality, quick } = req.body;
+        const { driveUrl, fileId: providedFileId, quality, quick, expiresIn, label, constraints: requested } = req.body;
+
+        // Validate the requested quality, lifetime and viewer constraints before touching Drive
+        if (quality && !tokenService.isValidQuality(quality)) {
+            return res.status(400).json({
+                error: 'Invalid quality',
+                message: 'quality must be one of original, 1080p, 720p, 480p or 360p'
+            });
+        }
+
+        const expiry = tokenService.resolveExpiry(expiresIn);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Invalid expiresIn',
+                message: expiry.error
+            });
+        }
+
+        const { constraints, error: constraintsError } = accessService.normalizeConstraints(requested);
+        if (constraintsError) {
+            return res.status(400).json({
+                error: 'Invalid constraints',
+                message: constraintsError
+            });
+        }
 
         // Allow passing fileId directly (from previous analyze call) for speed
         let fileId = providedFileId;
@@ -114,22 +170,48 @@ router.post('/generate-link', async (req, res) => {
             });
         }
 
-        // Generate token with quality preference
+        // Register the link, then generate a token carrying its id
         const selectedQuality = quality || 'original';
-        const token = tokenService.generateToken(fileId, selectedQuality);
+        const link = await linkService.register({
+            type: 'drive',
+            fileId,
+            quality: selectedQuality,
+            expiresAt: expiry.expiresAt,
+            label: parseLabel(label),
+            creator: req.ip || null,
+            constraints: accessService.describeConstraints(constraints)
+        });
+        const token = tokenService.generateToken(fileId, selectedQuality, {
+            expiresAt: expiry.expiresAt,
+            linkId: link.id,
+            constraints
+        });
+        const expiresAt = expiry.expiresAt === null ? null : new Date(expiry.expiresAt).toISOString();
 
         // Build the streamable URL - auto-detect from request if BASE_URL not set
-        const protocol = req.headers['x-forwarded-proto'] || req.protocol || 'https';
-        const host = req.headers['x-forwarded-host'] || req.headers.host || req.hostname;
-        const baseUrl = process.env.BASE_URL || `${protocol}://${host}`;
-        const streamUrl = `${baseUrl}/stream/${token}.mp4`;
+        const { config } = req.app.locals;
+        const baseUrl = getBaseUrl(config, req);
+        // Downscaled renditions are always encoded to MP4; the original keeps its container
+        // unless it is remuxed (which depends on ffmpeg being installed)
+        const ffmpegAvailable = await transcodeService.isAvailable();
+        const container = transcodeService.needsTranscode(selectedQuality)
+            ? { extension: 'mp4', contentType: 'video/mp4' }
+            : driveService.getContainer(fileInfo.mimeType);
+        const streamUrl = `${baseUrl}${config.streamPrefix}/${token}.${container.extension}`;
+        // HLS segments are encoded with ffmpeg - no ladder without it
+        const hlsUrl = ffmpegAvailable ? `${baseUrl}${config.streamPrefix}/${token}/master.m3u8` : undefined;
 
         // Quick mode: minimal response for faster generation
         if (quick) {
             return res.json({
                 success: true,
                 data: {
+                    linkId: link.id,
                     streamUrl,
+                    hlsUrl,
+                    contentType: container.contentType,
+                    expiresAt,
+                    constraints: link.constraints,
                     quality: selectedQuality,
                     name: fileInfo.name
                 }
@@ -144,7 +226,12 @@ router.post('/generate-link', async (req, res) => {
         res.json({
             success: true,
             data: {
+                linkId: link.id,
                 streamUrl,
+                hlsUrl,
+                contentType: container.contentType,
+                expiresAt,
+                constraints: link.constraints,
                 selectedQuality: selectedOption,
                 fileInfo: {
                     name: fileInfo.name,
@@ -187,35 +274,109 @@ router.get('/file-info/:fileId', async (req, res) => {
 });
 
 // ============================================
-// Universal Stream API Routes
+// Link Registry Routes
 // ============================================
 
 /**
- * Detect stream type from URL
+ * Guard link management and operational stats with ADMIN_TOKEN (Authorization: Bearer <token>)
+ * Without ADMIN_TOKEN they are open in development and disabled in production
  */
-function detectStreamType(url) {
-    const urlLower = url.toLowerCase();
-    if (urlLower.includes('.m3u8') || urlLower.includes('hls')) {
-        return 'HLS';
-    } else if (urlLower.includes('.mpd') || urlLower.includes('dash')) {
-        return 'DASH';
-    } else if (urlLower.includes('.mp4')) {
-        return 'MP4';
-    } else if (urlLower.includes('.webm')) {
-        return 'WebM';
-    } else if (urlLower.includes('.mkv')) {
-        return 'MKV';
-    }
-    return 'Universal';
+function requireAdmin(req, res, next) {
+    const { adminToken, isProduction } = req.app.locals.config;
+
+    if (!adminToken) {
+        if (isProduction) {
+            return res.status(403).json({
+                error: 'Admin endpoints disabled',
+                message: 'Set ADMIN_TOKEN to manage links and read cache stats'
+            });
+        }
+        return next();
+    }
+
+    const provided = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+
+    if (!crypto.timingSafeEqual(digest(provided), digest(adminToken))) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid admin token is required'
+        });
+    }
+
+    next();
 }
 
+/**
+ * GET /api/links
+ * Every issued link (newest first), optionally filtered by ?fileId=
+ */
+router.get('/links', requireAdmin, (req, res) => {
+    const links = linkService.list({ fileId: req.query.fileId });
+    res.json({ success: true, data: links.map(link => linkService.describe(link)) });
+});
+
+/**
+ * DELETE /api/links/:id
+ * Revoke a link - its stream, HLS and segment URLs stop working immediately
+ */
+router.delete('/links/:id', requireAdmin, async (req, res) => {
+    try {
+        const link = await linkService.revoke(req.params.id);
+
+        if (!link) {
+            return res.status(404).json({
+                error: 'Link not found',
+                message: 'No link with that id has been issued'
+            });
+        }
+
+        res.json({ success: true, data: linkService.describe(link) });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to revoke link',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/cache/stats
+ * Hit/miss counters for the file info and token caches, the proxy
+ * segment cache and the Drive block cache, plus streamed response outcomes
+ * and upstream connection pool usage (per upstream host - admin only)
+ */
+router.get('/cache/stats', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            ...getCacheStats(),
+            proxy: proxyCacheService.stats(),
+            driveBlocks: blockCacheService.stats(),
+            streams: getStreamStats(),
+            pool: poolService.stats()
+        }
+    });
+});
+
+// ============================================
+// Universal Stream API Routes
+// ============================================
+
 /**
  * POST /api/universal/generate
  * Generate universal stream proxy URL
  */
 router.post('/universal/generate', async (req, res) => {
     try {
-        const { sourceUrl, enableBuffer = true, enableProxy = true } = req.body;
+        const {
+            sourceUrl,
+            enableBuffer = true,
+            enableProxy = true,
+            expiresIn,
+            label,
+            constraints: requested
+        } = req.body;
 
         if (!sourceUrl) {
             return res.status(400).json({
@@ -234,24 +395,64 @@ router.post('/universal/generate', async (req, res) => {
             });
         }
 
-        const streamType = detectStreamType(sourceUrl);
+        // Refuse to mint tokens for sources the proxy would never fetch
+        try {
+            await sourcePolicyService.checkUrl(sourceUrl);
+        } catch (error) {
+            if (error instanceof SourcePolicyError) {
+                return res.status(403).json(sourcePolicyService.describeError(error));
+            }
+            throw error;
+        }
+
+        const expiry = tokenService.resolveExpiry(expiresIn);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Invalid expiresIn',
+                message: expiry.error
+            });
+        }
+
+        const { constraints, error: constraintsError } = accessService.normalizeConstraints(requested);
+        if (constraintsError) {
+            return res.status(400).json({
+                error: 'Invalid constraints',
+                message: constraintsError
+            });
+        }
+
+        // Identify the source by what it serves, not by its URL
+        let probe;
+        try {
+            probe = await probeService.probe(sourceUrl);
+        } catch (error) {
+            return sendUpstreamError(res, error, sourceUrl);
+        }
+        const streamType = probe.type;
+
+        const link = await linkService.register({
+            type: 'universal',
+            sourceUrl,
+            expiresAt: expiry.expiresAt,
+            label: parseLabel(label),
+            creator: req.ip || null,
+            constraints: accessService.describeConstraints(constraints)
+        });
 
         // Generate a secure token for the stream
         const streamToken = tokenService.generateUniversalToken(sourceUrl, {
             buffer: enableBuffer,
             proxy: enableProxy,
             type: streamType
-        });
+        }, { expiresAt: expiry.expiresAt, linkId: link.id, constraints });
 
         // Get the base URL
-        const protocol = req.headers['x-forwarded-proto'] || req.protocol || 'http';
-        const host = req.headers['x-forwarded-host'] || req.headers.host;
-        const baseUrl = process.env.BASE_URL || `${protocol}://${host}`;
+        const baseUrl = getBaseUrl(req.app.locals.config, req);
 
         // Generate proxy URL based on stream type
         let proxyUrl;
         if (streamType === 'HLS') {
-            proxyUrl = `${baseUrl}/api/universal/stream/${streamToken}.m3u8`;
+            proxyUrl = `${baseUrl}/api/universal/stream/${streamToken}/index.m3u8`;
         } else if (streamType === 'DASH') {
             proxyUrl = `${baseUrl}/api/universal/stream/${streamToken}.mpd`;
         } else {
@@ -261,11 +462,15 @@ router.post('/universal/generate', async (req, res) => {
         res.json({
             success: true,
             data: {
+                linkId: link.id,
                 proxyUrl,
                 streamType,
+                probe,
                 buffering: enableBuffer,
                 proxied: enableProxy,
-                originalUrl: sourceUrl
+                originalUrl: sourceUrl,
+                constraints: link.constraints,
+                expiresAt: expiry.expiresAt === null ? null : new Date(expiry.expiresAt).toISOString()
             }
         });
 
@@ -279,133 +484,469 @@ router.post('/universal/generate', async (req, res) => {
 });
 
 /**
- * GET /api/universal/stream/*
- * Proxy universal stream
+ * POST /api/universal/probe
+ * Fetch a source and report what it serves: the type (from magic bytes, then
+ * Content-Type), duration, and for HLS/DASH the variant streams
  */
-router.get('/universal/stream/*', async (req, res) => {
+router.post('/universal/probe', async (req, res) => {
+    const { sourceUrl } = req.body;
+
+    if (!sourceUrl) {
+        return res.status(400).json({
+            error: 'Missing sourceUrl parameter',
+            message: 'Please provide a streaming URL'
+        });
+    }
+
     try {
-        let token = req.params[0] || '';
+        new URL(sourceUrl);
+    } catch {
+        return res.status(400).json({
+            error: 'Invalid URL',
+            message: 'Please provide a valid streaming URL'
+        });
+    }
 
+    try {
+        const probe = await probeService.probe(sourceUrl);
+        res.json({ success: true, data: probe });
+    } catch (error) {
+        sendUpstreamError(res, error, sourceUrl);
+    }
+});
+
+/**
+ * Answer a failed upstream fetch: 403 with a code for policy refusals,
+ * 502/504 for redirect loops and timeouts, 500 for anything else
+ */
+function sendUpstreamError(res, error, url) {
+    if (error instanceof SourcePolicyError) {
+        console.warn(`Source policy: ${error.code} for ${url}`);
+        return res.status(403).json(sourcePolicyService.describeError(error));
+    }
+
+    if (error instanceof UpstreamError) {
+        console.warn(`Upstream: ${error.code} for ${url}`);
+        return res.status(error.status).json({
+            error: error.status === 504 ? 'Stream timeout' : 'Stream failed',
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    console.error('Proxy request error:', error);
+    res.status(500).json({
+        error: 'Stream failed',
+        message: 'Failed to fetch from source'
+    });
+}
+
+/**
+ * Byte range an upstream body covers, if it can be reopened part-way through:
+ * { start, end } for a 206 with Content-Range or a 200 with Content-Length and
+ * Accept-Ranges: bytes, otherwise null
+ */
+function resumableRange(response) {
+    const { headers, statusCode } = response;
+
+    if (statusCode === 206) {
+        const match = /^bytes (\d+)-(\d+)\//.exec(headers['content-range'] || '');
+        return match ? { start: parseInt(match[1], 10), end: parseInt(match[2], 10) } : null;
+    }
+
+    const length = parseInt(headers['content-length'], 10);
+    if (statusCode === 200 && length > 0 && headers['accept-ranges'] === 'bytes') {
+        return { start: 0, end: length - 1 };
+    }
+
+    return null;
+}
+
+/**
+ * Reopen a universal source at a byte offset
+ * Only a 206 starting exactly there can continue the body
+ */
+async function reopenUniversal(targetUrl, offset, end) {
+    const { response } = await proxyCacheService.fetch(targetUrl, {
+        headers: { 'Range': `bytes=${offset}-${end}` }
+    });
+
+    const range = resumableRange(response);
+    if (response.statusCode !== 206 || !range || range.start !== offset) {
+        response.destroy();
+        throw new Error(`source answered the resume with ${response.statusCode}`);
+    }
+
+    return response;
+}
+
+/**
+ * Split /universal/stream/<token>[/<path>] into the token and the path below it
+ * The path (plus query) is read from the raw URL so percent-encoding reaches the origin as sent
+ */
+function parseUniversalPath(req) {
+    const raw = req.path.substring('/universal/stream/'.length);
+    const slash = raw.indexOf('/');
+
+    if (slash === -1) {
         // Remove extension if present
-        token = token.replace(/\.(m3u8|mpd|mp4|webm|ts|m4s)$/i, '');
+        return { token: raw.replace(/\.(m3u8|mpd|mp4|webm|ts|m4s)$/i, ''), subPath: null };
+    }
 
-        const tokenData = tokenService.decodeUniversalToken(token);
+    const queryStart = req.originalUrl.indexOf('?');
+    const query = queryStart === -1 ? '' : req.originalUrl.substring(queryStart);
+    return { token: raw.substring(0, slash), subPath: raw.substring(slash + 1) + query };
+}
 
-        if (!tokenData) {
-            return res.status(400).json({
-                error: 'Invalid or expired token',
-                message: 'The stream link is invalid or has expired'
-            });
-        }
+/**
+ * CORS headers for proxied responses
+ */
+function setUniversalCors(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, X-Cache');
+}
 
-        const { sourceUrl, options } = tokenData;
-        const streamType = options.type || detectStreamType(sourceUrl);
+/**
+ * Content-Type of an upstream response and whether it is a manifest the proxy rewrites
+ * Returns { contentType, isPlaylist, isMpd }
+ */
+function describeUpstream(response, finalUrl, streamType) {
+    const defaultTypes = { HLS: 'application/vnd.apple.mpegurl', DASH: 'application/dash+xml' };
+    const lowerType = (response.headers['content-type'] || '').toLowerCase();
+
+    // Playlists are often served as text/plain or octet-stream - the probe already saw #EXTM3U
+    const isPlaylist = streamType === 'HLS'
+        && (lowerType.includes('mpegurl') || lowerType.startsWith('text/') || lowerType.includes('octet-stream') || !lowerType);
+
+    return {
+        contentType: isPlaylist && !lowerType.includes('mpegurl')
+            ? defaultTypes.HLS
+            : response.headers['content-type'] || defaultTypes[streamType] || 'video/mp4',
+        isPlaylist,
+        // MPDs are often served as generic XML; Location refreshes arrive through prefix tokens
+        isMpd: lowerType.includes('dash+xml')
+            || /\.mpd$/i.test(new URL(finalUrl).pathname)
+            || (streamType === 'DASH' && lowerType.includes('xml'))
+    };
+}
 
-        // Set CORS headers
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-        res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length');
+/**
+ * Answer a HEAD for a universal proxy target with the headers a GET would send
+ * The source is fetched with GET (signed URLs are often only valid for GET) and
+ * the body dropped. Manifests get no Content-Length - rewriting changes their size
+ */
+async function headUniversal(req, res, targetUrl, streamType) {
+    setUniversalCors(res);
 
-        // Fetch the stream from source
-        const https = require('https');
-        const http = require('http');
-        const { URL } = require('url');
+    let upstream;
+    try {
+        upstream = await proxyCacheService.fetch(targetUrl, {
+            headers: req.headers.range ? { 'Range': req.headers.range } : {}
+        });
+    } catch (error) {
+        return sendUpstreamError(res, error, targetUrl);
+    }
 
-        const sourceUrlObj = new URL(sourceUrl);
-        const fetchProtocol = sourceUrlObj.protocol === 'https:' ? https : http;
+    const { request, response, url: finalUrl } = upstream;
+    const { contentType, isPlaylist, isMpd } = describeUpstream(response, finalUrl, streamType);
 
-        const proxyRequest = fetchProtocol.get(sourceUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': '*/*',
-                'Accept-Encoding': 'identity',
-                'Connection': 'keep-alive',
-                ...(req.headers.range && { 'Range': req.headers.range })
-            }
-        }, (proxyResponse) => {
-            // Set response headers
-            const contentType = proxyResponse.headers['content-type'] ||
-                (streamType === 'HLS' ? 'application/vnd.apple.mpegurl' : 'video/mp4');
+    try {
+        // Only the declared size matters here - the body is not relayed
+        sourcePolicyService.limitResponse(response, { manifest: isPlaylist || isMpd, onViolation: () => { } });
+    } catch (error) {
+        return sendUpstreamError(res, error, finalUrl);
+    } finally {
+        request.destroy();
+    }
 
-            res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Type', contentType);
+    if (upstream.cache) {
+        res.setHeader('X-Cache', upstream.cache);
+    }
 
-            if (proxyResponse.headers['content-length']) {
-                res.setHeader('Content-Length', proxyResponse.headers['content-length']);
-            }
-            if (proxyResponse.headers['content-range']) {
-                res.setHeader('Content-Range', proxyResponse.headers['content-range']);
-            }
-            if (proxyResponse.headers['accept-ranges']) {
-                res.setHeader('Accept-Ranges', proxyResponse.headers['accept-ranges']);
+    if (!isPlaylist && !isMpd) {
+        for (const name of ['Content-Length', 'Content-Range', 'Accept-Ranges']) {
+            const value = response.headers[name.toLowerCase()];
+            if (value) {
+                res.setHeader(name, value);
             }
+        }
+    }
 
-            res.status(proxyResponse.statusCode);
+    res.status(response.statusCode).end();
+}
 
-            // For HLS playlists, we need to rewrite URLs to proxy through us
-            if (streamType === 'HLS' && contentType.includes('mpegurl')) {
-                let body = '';
-                proxyResponse.setEncoding('utf8');
-                proxyResponse.on('data', (chunk) => {
-                    body += chunk;
-                });
-                proxyResponse.on('end', () => {
-                    // Rewrite segment URLs to proxy through our server
-                    const baseSourceUrl = sourceUrl.substring(0, sourceUrl.lastIndexOf('/') + 1);
-                    const reqProtocol = req.headers['x-forwarded-proto'] || req.protocol || 'http';
-                    const host = req.headers['x-forwarded-host'] || req.headers.host;
-                    const baseProxyUrl = process.env.BASE_URL || `${reqProtocol}://${host}`;
-
-                    // Rewrite relative URLs to absolute proxy URLs
-                    const rewrittenBody = body.split('\n').map(line => {
-                        line = line.trim();
-                        if (line && !line.startsWith('#')) {
-                            // This is a URL line
-                            let absoluteUrl;
-                            if (line.startsWith('http://') || line.startsWith('https://')) {
-                                absoluteUrl = line;
-                            } else {
-                                absoluteUrl = baseSourceUrl + line;
-                            }
-                            // Generate a token for this segment
-                            const segmentToken = tokenService.generateUniversalToken(absoluteUrl, {
-                                buffer: options.buffer,
-                                proxy: options.proxy,
-                                type: 'segment'
-                            });
-                            return `${baseProxyUrl}/api/universal/stream/${segmentToken}`;
-                        }
-                        return line;
-                    }).join('\n');
-
-                    res.send(rewrittenBody);
-                });
-            } else {
-                // Pipe the response directly
-                proxyResponse.pipe(res);
-            }
+/**
+ * Fetch a universal proxy target and relay it
+ *
+ * link: { options, expiresAt, linkId, constraints } of the link being served.
+ * HLS playlists are rewritten to reference their URIs below their token (see
+ * sessionService): refs.token and refs.sourceUrl are the token this request came
+ * through and its URL, refs.depth how many directories the request path is below
+ * /api/universal/stream/
+ */
+async function proxyUniversal(req, res, targetUrl, streamType, link, refs) {
+    setUniversalCors(res);
+
+    // Players cancel requests constantly (every seek) - note when this one goes away
+    let clientGone = false;
+    res.on('close', () => {
+        clientGone = !res.writableFinished;
+    });
+
+    // Fetch from the segment cache or the source, following redirects - segment URLs
+    // come from upstream playlists, so every fetch (and every redirect hop) is policy-checked
+    let upstream;
+    try {
+        upstream = await proxyCacheService.fetch(targetUrl, {
+            headers: req.headers.range ? { 'Range': req.headers.range } : {}
         });
+    } catch (error) {
+        return sendUpstreamError(res, error, targetUrl);
+    }
 
-        proxyRequest.on('error', (error) => {
-            console.error('Proxy request error:', error);
-            if (!res.headersSent) {
-                res.status(500).json({
-                    error: 'Stream failed',
-                    message: 'Failed to fetch from source'
-                });
+    const { request, response, url: finalUrl } = upstream;
+
+    if (clientGone) {
+        request.destroy();
+        return;
+    }
+
+    const { contentType, isPlaylist, isMpd } = describeUpstream(response, finalUrl, streamType);
+
+    // Segments and files survive a dropped origin connection: reopened at the next byte
+    let proxyRequest = request;
+    let proxyResponse = response;
+    const range = isPlaylist || isMpd ? null : resumableRange(response);
+    if (range) {
+        proxyResponse = resumableStream(response, (offset) => reopenUniversal(targetUrl, offset, range.end), {
+            ...range,
+            label: finalUrl
+        });
+        proxyRequest = proxyResponse;
+    }
+
+    // Size/duration limits - cut the transfer off rather than relay an oversized body
+    try {
+        sourcePolicyService.limitResponse(proxyResponse, {
+            manifest: isPlaylist || isMpd,
+            onViolation: (error) => {
+                console.warn(`Source policy: ${error.code} for ${finalUrl}`);
+                proxyRequest.destroy();
+                if (!res.headersSent) {
+                    res.status(403).json(sourcePolicyService.describeError(error));
+                } else {
+                    res.destroy(error);
+                }
             }
         });
+    } catch (error) {
+        proxyRequest.destroy();
+        return sendUpstreamError(res, error, finalUrl);
+    }
 
-        // Handle request timeout
-        proxyRequest.setTimeout(30000, () => {
-            proxyRequest.destroy();
-            if (!res.headersSent) {
-                res.status(504).json({
-                    error: 'Stream timeout',
-                    message: 'The source took too long to respond'
-                });
+    proxyResponse.on('error', (error) => {
+        console.error('Proxy response error:', error.message);
+        if (!res.headersSent) {
+            sendUpstreamError(res, error, finalUrl);
+        } else if (!res.writableEnded) {
+            res.destroy(error);
+        }
+    });
+
+    // Set response headers
+    res.setHeader('Content-Type', contentType);
+    if (upstream.cache) {
+        res.setHeader('X-Cache', upstream.cache);
+    }
+
+    if (proxyResponse.headers['content-length']) {
+        res.setHeader('Content-Length', proxyResponse.headers['content-length']);
+    }
+    if (proxyResponse.headers['content-range']) {
+        res.setHeader('Content-Range', proxyResponse.headers['content-range']);
+    }
+    if (proxyResponse.headers['accept-ranges']) {
+        res.setHeader('Accept-Ranges', proxyResponse.headers['accept-ranges']);
+    }
+
+    res.status(proxyResponse.statusCode);
+
+    if (isPlaylist || isMpd) {
+        // Buffered for rewriting - stop fetching if the viewer leaves first
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                proxyRequest.destroy();
             }
         });
+    }
+
+    // For HLS playlists, we need to rewrite URLs to proxy through us
+    if (isPlaylist) {
+        let body = '';
+        proxyResponse.setEncoding('utf8');
+        proxyResponse.on('data', (chunk) => {
+            body += chunk;
+        });
+        proxyResponse.on('end', () => {
+            if (res.headersSent) return;
+
+            // Route every URI back through the proxy: variant and rendition playlists
+            // under tokens of their own (their segments then sit below them), segments,
+            // keys and init segments as signed references below this playlist's token.
+            // Relative URIs resolve against the final URL after redirects
+            const playlist = parsePlaylist(body);
+            const up = '../'.repeat(refs.depth);
+            rewritePlaylist(playlist, finalUrl, (url, kind) => {
+                if (kind === 'playlist') {
+                    return `${up}${sessionService.playlistToken(url, link)}/index.m3u8`;
+                }
+                const reference = sessionService.reference(refs.token, refs.sourceUrl, url);
+                return refs.depth === 1 ? reference : `${up}${refs.token}/${reference}`;
+            });
+
+            res.send(serializePlaylist(playlist));
+        });
+    } else if (isMpd) {
+        let body = '';
+        proxyResponse.setEncoding('utf8');
+        proxyResponse.on('data', (chunk) => {
+            body += chunk;
+        });
+        proxyResponse.on('end', () => {
+            if (res.headersSent) return;
+
+            const baseProxyUrl = getBaseUrl(req.app.locals.config, req);
+            const prefixTokens = new Map();
+
+            // Each URL becomes <prefix token>/<rest>: the token signs the directory,
+            // the rest keeps $Number$/$Time$ templates for the player to expand
+            const manifest = rewriteMpd(body, finalUrl, (absoluteUrl) => {
+                const { prefix, rest } = splitTemplate(absoluteUrl);
+                if (!prefixTokens.has(prefix)) {
+                    prefixTokens.set(prefix, tokenService.generateUniversalToken(prefix, {
+                        buffer: link.options.buffer,
+                        proxy: link.options.proxy,
+                        type: 'prefix'
+                    }, link));
+                }
+                return `${baseProxyUrl}/api/universal/stream/${prefixTokens.get(prefix)}/${rest}`;
+            });
+
+            res.send(manifest);
+        });
+    } else {
+        // Pipe the response directly - aborted with the viewer's request
+        pipeToResponse(proxyResponse, res);
+    }
+}
+
+/**
+ * Resolve a /universal/stream/ request to what it proxies
+ *
+ * /<token>                     - the URL in the token
+ * /<token>/index.m3u8          - the same, for HLS playlists (their URIs are then
+ *                                referenced relative to this path)
+ * /<token>/<signature>/<path>  - a URI referenced from the token's playlist (sessionService)
+ * /<token>/<path>              - a "prefix" token (DASH templates): <path> resolved under the
+ *                                token's URL, which it must not escape
+ *
+ * Returns { targetUrl, streamType, link, refs }, or null after answering the
+ * request when the token, path or viewer is refused
+ */
+function resolveUniversalStream(req, res) {
+    const { token, subPath } = parseUniversalPath(req);
+
+    const tokenData = tokenService.decodeUniversalToken(token);
+
+    if (!tokenData) {
+        res.status(400).json({
+            error: 'Invalid or expired token',
+            message: 'The stream link is invalid or has expired'
+        });
+        return null;
+    }
+
+    const denied = accessService.check(req, res, tokenData, token);
+    if (denied) {
+        res.status(403).json(denied);
+        return null;
+    }
+
+    const { sourceUrl, options, expiresAt, linkId, constraints } = tokenData;
+    let streamType = options.type || 'Universal';
+    const invalidPath = (message) => {
+        res.status(400).json({ error: 'Invalid stream path', message });
+        return null;
+    };
+
+    // Prefix tokens only serve paths below them
+    let targetUrl = sourceUrl;
+    if (streamType === 'prefix') {
+        if (subPath === null) {
+            return invalidPath('This stream link does not accept that path');
+        }
+        try {
+            targetUrl = new URL(subPath, sourceUrl).href;
+        } catch {
+            targetUrl = null;
+        }
+        if (!targetUrl || !targetUrl.startsWith(sourceUrl)) {
+            return invalidPath('The requested path is outside this stream');
+        }
+    } else if (subPath !== null && !/^index\.m3u8(?:\?|$)/.test(subPath)) {
+        const slash = subPath.indexOf('/');
+        targetUrl = slash > 0
+            ? sessionService.resolve(token, sourceUrl, subPath.substring(0, slash), subPath.substring(slash + 1))
+            : null;
+        if (!targetUrl) {
+            return invalidPath('The requested path is not part of this stream');
+        }
+        streamType = 'segment';
+    }
+
+    const depth = subPath === null ? 0 : subPath.split('?')[0].split('/').length;
+
+    return {
+        targetUrl,
+        streamType,
+        link: { options, expiresAt, linkId, constraints },
+        refs: { token, sourceUrl, depth }
+    };
+}
+
+/**
+ * HEAD /api/universal/stream/*
+ * Headers of a proxied stream without its body
+ * Registered before GET, which Express would otherwise also use for HEAD
+ */
+router.head('/universal/stream/*', async (req, res) => {
+    try {
+        const target = resolveUniversalStream(req, res);
+        if (target) {
+            await headUniversal(req, res, target.targetUrl, target.streamType);
+        }
+    } catch (error) {
+        console.error('Universal stream HEAD error:', error);
+        if (!res.headersSent) {
+            res.status(500).end();
+        }
+    }
+});
+
+/**
+ * GET /api/universal/stream/*
+ * Proxy universal stream
+ */
+router.get('/universal/stream/*', async (req, res) => {
+    try {
+        const target = resolveUniversalStream(req, res);
+        if (!target) {
+            return;
+        }
 
+        await proxyUniversal(req, res, target.targetUrl, target.streamType, target.link, target.refs);
     } catch (error) {
         console.error('Universal stream error:', error);
         if (!res.headersSent) {
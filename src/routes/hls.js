@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const driveService = require('../services/driveService');
+const tokenService = require('../services/tokenService');
+const transcodeService = require('../services/transcodeService');
+const { TranscodeBusyError } = transcodeService;
+const hlsService = require('../services/hlsService');
+const accessService = require('../services/accessService');
+
+/**
+ * Resolve the token and file for an HLS request
+ * Sends the error response and returns null when the request cannot be served
+ */
+async function loadHlsSource(req, res) {
+    const tokenData = tokenService.decodeToken(req.params.token);
+
+    if (!tokenData) {
+        res.status(400).json({ error: 'Invalid or expired stream token' });
+        return null;
+    }
+
+    const denied = accessService.check(req, res, tokenData, req.params.token);
+    if (denied) {
+        res.status(403).json(denied);
+        return null;
+    }
+
+    const { fileId, quality } = tokenData;
+    const fileInfo = await driveService.getFileInfo(fileId);
+
+    if (!fileInfo) {
+        res.status(404).json({ error: 'Video file not found' });
+        return null;
+    }
+
+    if (hlsService.getSegmentCount(fileInfo) === 0) {
+        res.status(422).json({
+            error: 'Duration unknown',
+            message: 'Google Drive has not reported a duration for this video yet, so it cannot be packaged as HLS'
+        });
+        return null;
+    }
+
+    if (!(await transcodeService.isAvailable())) {
+        res.status(503).json({
+            error: 'Transcoding unavailable',
+            message: 'ffmpeg is not installed on the server, so HLS renditions cannot be generated. Use the .mp4 link instead.'
+        });
+        return null;
+    }
+
+    return { fileId, fileInfo, maxQuality: quality };
+}
+
+/**
+ * GET /stream/:token/master.m3u8
+ * Adaptive HLS ladder built from the file's quality options
+ */
+router.get('/:token/master.m3u8', async (req, res) => {
+    try {
+        const source = await loadHlsSource(req, res);
+        if (!source) return;
+
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        // private: every HLS response is token- and constraint-checked, so shared
+        // caches must not replay it to other viewers or after revocation
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.send(hlsService.buildMasterPlaylist(source.fileInfo, source.maxQuality));
+
+    } catch (error) {
+        console.error('Error building master playlist:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to build playlist' });
+        }
+    }
+});
+
+/**
+ * GET /stream/:token/:quality/index.m3u8
+ * VOD media playlist for one rendition
+ */
+router.get('/:token/:quality/index.m3u8', async (req, res) => {
+    try {
+        const source = await loadHlsSource(req, res);
+        if (!source) return;
+
+        const renditions = hlsService.getRenditions(source.fileInfo, source.maxQuality);
+        if (!renditions.some(option => option.id === req.params.quality)) {
+            return res.status(404).json({ error: 'Rendition not found' });
+        }
+
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.send(hlsService.buildMediaPlaylist(source.fileInfo));
+
+    } catch (error) {
+        console.error('Error building media playlist:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to build playlist' });
+        }
+    }
+});
+
+/**
+ * GET /stream/:token/:quality/:index.ts
+ * MPEG-TS segment, encoded and cached on first request
+ */
+router.get('/:token/:quality/:index.ts', async (req, res) => {
+    try {
+        const source = await loadHlsSource(req, res);
+        if (!source) return;
+
+        // Plain decimal indexes only - parseInt would accept '3abc' and yield NaN for 'abc'
+        const index = /^\d+$/.test(req.params.index) ? parseInt(req.params.index, 10) : -1;
+        const segmentPath = await hlsService.getSegment(
+            source.fileId, source.fileInfo, req.params.quality, index, source.maxQuality
+        );
+
+        if (!segmentPath) {
+            return res.status(404).json({ error: 'Segment not found' });
+        }
+
+        res.sendFile(segmentPath, {
+            headers: {
+                'Content-Type': 'video/mp2t',
+                'Cache-Control': 'private, max-age=86400'
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof TranscodeBusyError) {
+            console.warn(`Segment refused: ${error.message}`);
+            res.setHeader('Retry-After', '5');
+            return res.status(503).json({
+                error: 'Transcoding busy',
+                message: 'The server is already running as many ffmpeg processes as it allows. Try again shortly.'
+            });
+        }
+        // The message only, without any URL ffmpeg may have repeated in it
+        console.error('Error packaging segment:', transcodeService.redact(error.message));
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to package segment' });
+        }
+    }
+});
+
+module.exports = router;
@@ -2,12 +2,240 @@ const express = require('express');
 const router = express.Router();
 const driveService = require('../services/driveService');
 const tokenService = require('../services/tokenService');
+const transcodeService = require('../services/transcodeService');
+const { TranscodeBusyError } = transcodeService;
+const accessService = require('../services/accessService');
+const {
+    parseRange,
+    contentRange,
+    sendUnsatisfiable,
+    buildMultipart,
+    pipeMultipart
+} = require('../utils/httpRange');
+const {
+    getValidators,
+    setValidators,
+    isNotModified,
+    isRangeFresh,
+    sendNotModified
+} = require('../utils/conditional');
+const { pipeToResponse, resumableStream } = require('../utils/streaming');
+
+// Stream URL suffixes - any of them serves the file (links issued before real
+// extensions were used all end in .mp4); the Content-Type follows the file itself
+const STREAM_PATH = '/:token.:extension(mp4|webm|mov|mkv)';
+
+/**
+ * Open bytes [start, end] of a Drive file, reopening mid-stream if Drive drops
+ * the connection. whole: the range is the entire file (fetched without a Range header)
+ */
+async function openDriveRange(fileId, start, end, whole = false) {
+    const first = whole
+        ? await driveService.streamFile(fileId)
+        : await driveService.streamFile(fileId, start, end);
+
+    return resumableStream(first, (offset) => driveService.streamFile(fileId, offset, end), {
+        start,
+        end,
+        label: `Drive file ${fileId}`
+    });
+}
+
+/**
+ * Answer a Drive stream that failed (before or after the body started)
+ */
+function onStreamError(res) {
+    return (error) => {
+        console.error('Stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Stream error' });
+        } else {
+            // Mid-body - abort so the client sees the failure instead of waiting
+            res.destroy(error);
+        }
+    };
+}
+
+/**
+ * Whether an original-quality stream of the file is remuxed to MP4 (the
+ * container needs it and ffmpeg is installed - otherwise it is served as is)
+ */
+async function isRemuxed(fileInfo) {
+    return transcodeService.needsRemux(fileInfo.mimeType) && await transcodeService.isAvailable();
+}
+
+/**
+ * Send the fragmented MP4 an ffmpeg process writes to stdout
+ * start spawns the process; label names the operation in error responses ('Transcode', 'Remux')
+ * Answers 503 with Retry-After when every ffmpeg slot is taken
+ */
+function pipeFfmpeg(res, start, label) {
+    let ffmpeg;
+    try {
+        ffmpeg = start();
+    } catch (error) {
+        if (!(error instanceof TranscodeBusyError)) {
+            throw error;
+        }
+        console.warn(`${label} refused: ${error.message}`);
+        res.setHeader('Retry-After', '10');
+        return res.status(503).json({
+            error: 'Transcoding busy',
+            message: 'The server is already running as many ffmpeg processes as it allows. Try again shortly or use the original quality.'
+        });
+    }
+
+    ffmpeg.on('error', (error) => {
+        // The message only - the error's spawnargs hold the source URL
+        console.error('ffmpeg error:', error.message);
+        if (!res.headersSent) {
+            res.status(500).json({ error: `${label} error` });
+        } else {
+            res.destroy(error);
+        }
+    });
+
+    // Nothing is committed until ffmpeg has produced output, so a source it
+    // cannot read is still answered with an error status
+    ffmpeg.stdout.once('data', (chunk) => {
+        if (res.headersSent || res.destroyed) {
+            ffmpeg.kill('SIGKILL');
+            return;
+        }
+
+        res.status(200);
+        res.setHeader('Content-Type', 'video/mp4');
+        res.setHeader('Accept-Ranges', 'none');
+        res.setHeader('Cache-Control', 'no-store');
+        res.write(chunk);
+
+        // Ended on 'close' below, where the exit code says whether the output is whole
+        ffmpeg.stdout.pipe(res, { end: false });
+    });
+
+    // After 'exit' and stdout's end, so every byte has been passed on
+    ffmpeg.on('close', (code) => {
+        if (res.writableEnded || res.destroyed) {
+            return;
+        }
+        if (!res.headersSent) {
+            res.status(502).json({ error: `${label} failed`, message: 'ffmpeg could not read the source video' });
+        } else if (code === 0) {
+            res.end();
+        } else {
+            // A cut-off body must not look complete
+            res.destroy(new Error(`ffmpeg exited with code ${code}`));
+        }
+    });
+
+    // Stop ffmpeg as soon as the viewer goes away (seek, close tab, ...)
+    res.on('close', () => {
+        if (ffmpeg.exitCode === null) {
+            ffmpeg.kill('SIGKILL');
+        }
+    });
+}
+
+/**
+ * Serve a downscaled rendition of the file as fragmented MP4
+ *
+ * The encoded size is unknown up front, so byte ranges cannot be honoured:
+ * Range headers are ignored, responses advertise `Accept-Ranges: none`, and
+ * clients seek by re-requesting the URL with a `?start=<seconds>` offset.
+ * Players that need ranges (Safari/iOS) or seeking should use the link's
+ * HLS ladder instead, which the web UI does for these qualities.
+ */
+async function streamTranscoded(req, res, fileId, fileInfo, quality) {
+    if (!(await transcodeService.isAvailable())) {
+        return res.status(503).json({
+            error: 'Transcoding unavailable',
+            message: `ffmpeg is not installed on the server, so the ${quality} rendition cannot be generated. Use the original quality instead.`
+        });
+    }
+
+    const start = Math.max(0, parseFloat(req.query.start) || 0);
+    const { bitrate } = driveService.analyzeVideoQuality(fileInfo);
+    const source = await driveService.getMediaSource(fileId);
+
+    console.log(`Transcoding: ${fileId} to ${quality} from ${start}s`);
+
+    pipeFfmpeg(res, () => transcodeService.transcode(source, quality, { start, sourceBitrate: bitrate }), 'Transcode');
+}
+
+/**
+ * Serve an MKV/AVI file rewrapped as fragmented MP4 - the tracks are
+ * copied, not re-encoded. Like transcoded output it has no known length:
+ * seek with `?start=<seconds>`.
+ */
+async function streamRemuxed(req, res, fileId) {
+    const start = Math.max(0, parseFloat(req.query.start) || 0);
+    const source = await driveService.getMediaSource(fileId);
+
+    console.log(`Remuxing: ${fileId} from ${start}s`);
+
+    pipeFfmpeg(res, () => transcodeService.remux(source, { start }), 'Remux');
+}
+
+/**
+ * HEAD /stream/:token.(mp4|webm|mov|mkv)
+ * Return headers for the video (used by video players to determine file size)
+ * Registered before GET, which Express would otherwise also use for HEAD
+ */
+router.head(STREAM_PATH, async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        const tokenData = tokenService.decodeToken(token);
+
+        if (!tokenData) {
+            return res.status(400).end();
+        }
+
+        if (accessService.check(req, res, tokenData, token)) {
+            return res.status(403).end();
+        }
+
+        const { fileId, quality } = tokenData;
+
+        const fileInfo = await driveService.getFileInfo(fileId, Boolean(req.headers['if-range']));
+
+        if (!fileInfo) {
+            return res.status(404).end();
+        }
+
+        // Transcoded and remuxed output has no known length and cannot be range-requested
+        if (transcodeService.needsTranscode(quality) || await isRemuxed(fileInfo)) {
+            const available = await transcodeService.isAvailable();
+            res.setHeader('Accept-Ranges', 'none');
+            res.setHeader('Content-Type', 'video/mp4');
+            res.setHeader('Cache-Control', 'no-store');
+            return res.status(available ? 200 : 503).end();
+        }
+
+        const validators = getValidators(fileInfo);
+        setValidators(res, validators);
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+
+        if (isNotModified(req, validators)) {
+            return sendNotModified(res);
+        }
+
+        res.setHeader('Content-Type', driveService.getContainer(fileInfo.mimeType).contentType);
+        res.setHeader('Content-Length', fileInfo.size);
+        res.status(200).end();
+
+    } catch (error) {
+        console.error('Error handling HEAD request:', error);
+        res.status(500).end();
+    }
+});
 
 /**
- * GET /stream/:token.mp4
+ * GET /stream/:token.(mp4|webm|mov|mkv)
  * Stream video content from Google Drive with range request support
  */
-router.get('/:token.mp4', async (req, res) => {
+router.get(STREAM_PATH, async (req, res) => {
     try {
         const { token } = req.params;
 
@@ -18,48 +246,85 @@ router.get('/:token.mp4', async (req, res) => {
             return res.status(400).json({ error: 'Invalid or expired stream token' });
         }
 
+        const denied = accessService.check(req, res, tokenData, token);
+        if (denied) {
+            return res.status(403).json(denied);
+        }
+
         const { fileId, quality } = tokenData;
         console.log(`Streaming: ${fileId} at quality: ${quality}`);
 
-        // Get file info for content-length
-        const fileInfo = await driveService.getFileInfo(fileId);
+        // Get file info for content-length and validators
+        // If-Range bypasses the cache: a file replaced in Drive must not be stitched with stale bytes
+        const fileInfo = await driveService.getFileInfo(fileId, Boolean(req.headers['if-range']));
 
         if (!fileInfo) {
             return res.status(404).json({ error: 'Video file not found' });
         }
 
+        // Downscaled qualities are encoded on the fly
+        if (transcodeService.needsTranscode(quality)) {
+            return await streamTranscoded(req, res, fileId, fileInfo, quality);
+        }
+
+        // Containers browsers cannot play are rewrapped as MP4
+        if (await isRemuxed(fileInfo)) {
+            return await streamRemuxed(req, res, fileId);
+        }
+
         const fileSize = parseInt(fileInfo.size, 10);
-        const range = req.headers.range;
+        const { contentType } = driveService.getContainer(fileInfo.mimeType);
+        const validators = getValidators(fileInfo);
 
         // Set common headers
+        setValidators(res, validators);
         res.setHeader('Accept-Ranges', 'bytes');
-        res.setHeader('Content-Type', 'video/mp4');
         res.setHeader('Cache-Control', 'public, max-age=3600');
 
+        if (isNotModified(req, validators)) {
+            return sendNotModified(res);
+        }
+
+        // A failed If-Range means the client's copy is stale - send the whole file instead
+        const range = isRangeFresh(req, validators)
+            ? parseRange(req.headers.range, fileSize, { multipart: req.app.locals.config.multipartRanges })
+            : null;
+
+        if (range && range.unsatisfiable) {
+            console.log(`Unsatisfiable range: ${req.headers.range} (size ${fileSize})`);
+            return sendUnsatisfiable(res, fileSize);
+        }
+
+        // Multiple ranges - one multipart/byteranges body, one Drive request per part
+        if (range && range.ranges.length > 1) {
+            const multipart = buildMultipart(range.ranges, fileSize, contentType);
+
+            console.log(`Multi-range request: ${range.ranges.length} parts/${fileSize}`);
+
+            res.status(206);
+            res.setHeader('Content-Type', multipart.contentType);
+            res.setHeader('Content-Length', multipart.length);
+
+            return await pipeMultipart(res, multipart,
+                (start, end) => openDriveRange(fileId, start, end));
+        }
+
+        res.setHeader('Content-Type', contentType);
+
         // Handle range requests for seeking support
         if (range) {
-            const parts = range.replace(/bytes=/, '').split('-');
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+            const { start, end } = range.ranges[0];
             const chunkSize = end - start + 1;
 
             console.log(`Range request: bytes=${start}-${end}/${fileSize}`);
 
             res.status(206);
-            res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+            res.setHeader('Content-Range', contentRange(start, end, fileSize));
             res.setHeader('Content-Length', chunkSize);
 
-            // Stream the requested range from Google Drive
-            const stream = await driveService.streamFile(fileId, start, end);
-
-            stream.on('error', (error) => {
-                console.error('Stream error:', error);
-                if (!res.headersSent) {
-                    res.status(500).json({ error: 'Stream error' });
-                }
-            });
-
-            stream.pipe(res);
+            // Stream the requested range from Google Drive - resumed if Drive drops it, aborted on seek
+            const stream = await openDriveRange(fileId, start, end);
+            pipeToResponse(stream, res, onStreamError(res));
 
         } else {
             // No range header - send entire file
@@ -67,58 +332,19 @@ router.get('/:token.mp4', async (req, res) => {
 
             res.setHeader('Content-Length', fileSize);
 
-            const stream = await driveService.streamFile(fileId);
-
-            stream.on('error', (error) => {
-                console.error('Stream error:', error);
-                if (!res.headersSent) {
-                    res.status(500).json({ error: 'Stream error' });
-                }
-            });
-
-            stream.pipe(res);
+            const stream = await openDriveRange(fileId, 0, fileSize - 1, true);
+            pipeToResponse(stream, res, onStreamError(res));
         }
 
     } catch (error) {
         console.error('Error streaming video:', error);
         if (!res.headersSent) {
             res.status(500).json({ error: 'Failed to stream video' });
+        } else {
+            // A multipart part failed after the 206 was sent
+            res.destroy(error);
         }
     }
 });
 
-/**
- * HEAD /stream/:token.mp4
- * Return headers for the video (used by video players to determine file size)
- */
-router.head('/:token.mp4', async (req, res) => {
-    try {
-        const { token } = req.params;
-
-        const tokenData = tokenService.decodeToken(token);
-
-        if (!tokenData) {
-            return res.status(400).end();
-        }
-
-        const { fileId } = tokenData;
-
-        const fileInfo = await driveService.getFileInfo(fileId);
-
-        if (!fileInfo) {
-            return res.status(404).end();
-        }
-
-        res.setHeader('Accept-Ranges', 'bytes');
-        res.setHeader('Content-Type', 'video/mp4');
-        res.setHeader('Content-Length', fileInfo.size);
-        res.setHeader('Cache-Control', 'public, max-age=3600');
-        res.status(200).end();
-
-    } catch (error) {
-        console.error('Error handling HEAD request:', error);
-        res.status(500).end();
-    }
-});
-
 module.exports = router;
@@ -1,82 +1,10 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const path = require('path');
+const { createApp } = require('./app');
+const { createConfig } = require('./config');
 
-const streamRoutes = require('./routes/stream');
-const apiRoutes = require('./routes/api');
-
-const app = express();
+const app = createApp(createConfig('server'));
 const PORT = process.env.PORT || 3000;
 
-// Security middleware
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            scriptSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdn.jsdelivr.net"],
-            styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-            fontSrc: ["'self'", "https://fonts.gstatic.com"],
-            imgSrc: ["'self'", "data:", "https:"],
-            mediaSrc: ["'self'", "blob:", "https:", "http:"],
-            connectSrc: ["'self'", "https:", "http:"]
-        }
-    },
-    crossOriginEmbedderPolicy: false,
-    crossOriginResourcePolicy: { policy: "cross-origin" }
-}));
-
-// CORS configuration
-app.use(cors({
-    origin: process.env.NODE_ENV === 'production'
-        ? process.env.ALLOWED_ORIGINS?.split(',') || true
-        : true,
-    methods: ['GET', 'HEAD', 'OPTIONS'],
-    allowedHeaders: ['Range', 'Content-Type', 'Authorization'],
-    exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type']
-}));
-
-// Logging
-app.use(morgan('combined'));
-
-// Parse JSON bodies
-app.use(express.json());
-
-// Serve static frontend files
-app.use(express.static(path.join(__dirname, '../public')));
-
-// API routes
-app.use('/api', apiRoutes);
-
-// Stream routes (handles .mp4 URLs)
-app.use('/stream', streamRoutes);
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Catch-all for SPA (serve index.html for unmatched routes)
-app.get('*', (req, res) => {
-    // Don't serve index.html for API or stream routes
-    if (req.path.startsWith('/api') || req.path.startsWith('/stream')) {
-        return res.status(404).json({ error: 'Not found' });
-    }
-    res.sendFile(path.join(__dirname, '../public/index.html'));
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(err.status || 500).json({
-        error: process.env.NODE_ENV === 'production'
-            ? 'Internal server error'
-            : err.message
-    });
-});
-
 app.listen(PORT, () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════╗
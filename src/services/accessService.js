@@ -0,0 +1,284 @@
+const net = require('net');
+
+/**
+ * Viewer constraints carried in stream tokens
+ *
+ * A link may be limited to embedding sites (checked against Origin, then Referer),
+ * to client IPs/CIDR ranges, and to a number of concurrent viewers. Constraints are
+ * stored compactly in the signed token: { o: origins, n: allowNoReferrer, i: ips, m: maxViewers }
+ */
+class AccessService {
+    constructor() {
+        // A viewer without an open response still counts for this long (covers HLS segment gaps)
+        this.viewerIdleMs = (parseInt(process.env.VIEWER_IDLE_SECONDS, 10) || 30) * 1000;
+
+        // Link key -> Map(viewer -> { active, lastSeen })
+        this.viewers = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    /**
+     * Validate constraints from a generate request into their compact token form
+     * Returns { constraints } (null when none were given) or { error }
+     */
+    normalizeConstraints(input) {
+        if (input === undefined || input === null) {
+            return { constraints: null };
+        }
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'constraints must be an object' };
+        }
+
+        const { allowedOrigins, allowNoReferrer, allowedIps, maxViewers } = input;
+        const constraints = {};
+
+        if (allowedOrigins !== undefined) {
+            if (!Array.isArray(allowedOrigins) || allowedOrigins.length === 0) {
+                return { error: 'allowedOrigins must be a non-empty array of origins or hostnames' };
+            }
+            const origins = [];
+            for (const entry of allowedOrigins) {
+                const pattern = this.parseOriginPattern(entry);
+                if (!pattern) {
+                    return { error: `Invalid origin: ${entry}` };
+                }
+                origins.push(pattern);
+            }
+            constraints.o = origins;
+            if (allowNoReferrer === true) {
+                constraints.n = 1;
+            }
+        }
+
+        if (allowedIps !== undefined) {
+            if (!Array.isArray(allowedIps) || allowedIps.length === 0) {
+                return { error: 'allowedIps must be a non-empty array of IP addresses or CIDR ranges' };
+            }
+            for (const entry of allowedIps) {
+                if (!this.parseCidr(entry)) {
+                    return { error: `Invalid IP address or CIDR range: ${entry}` };
+                }
+            }
+            constraints.i = allowedIps.map(entry => entry.trim());
+        }
+
+        if (maxViewers !== undefined) {
+            if (!Number.isInteger(maxViewers) || maxViewers < 1) {
+                return { error: 'maxViewers must be a whole number (at least 1)' };
+            }
+            constraints.m = maxViewers;
+        }
+
+        return { constraints: Object.keys(constraints).length > 0 ? constraints : null };
+    }
+
+    /**
+     * Constraints in their request form, for API responses and the link registry
+     */
+    describeConstraints(constraints) {
+        if (!constraints) {
+            return null;
+        }
+        return {
+            allowedOrigins: constraints.o || null,
+            allowNoReferrer: Boolean(constraints.n),
+            allowedIps: constraints.i || null,
+            maxViewers: constraints.m || null
+        };
+    }
+
+    /**
+     * Normalise "https://site.com", "site.com" or "*.site.com" to a host pattern
+     */
+    parseOriginPattern(entry) {
+        if (typeof entry !== 'string' || !entry.trim()) {
+            return null;
+        }
+
+        let value = entry.trim().toLowerCase();
+        const wildcard = value.startsWith('*.');
+        if (wildcard) {
+            value = value.substring(2);
+        }
+
+        try {
+            const { host } = new URL(value.includes('://') ? value : `https://${value}`);
+            return wildcard ? `*.${host}` : host;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Parse "1.2.3.4", "10.0.0.0/8" or "2001:db8::/32" into { address, prefix, family }
+     */
+    parseCidr(entry) {
+        if (typeof entry !== 'string') {
+            return null;
+        }
+
+        const [address, prefixText] = entry.trim().split('/');
+        const version = net.isIP(address);
+        if (!version) {
+            return null;
+        }
+
+        const family = version === 4 ? 'ipv4' : 'ipv6';
+        const maxPrefix = version === 4 ? 32 : 128;
+        const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+        if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+            return null;
+        }
+        return { address, prefix, family };
+    }
+
+    /**
+     * Client address with IPv4-mapped IPv6 ("::ffff:1.2.3.4") unwrapped
+     */
+    clientIp(req) {
+        const ip = req.ip || req.socket.remoteAddress || '';
+        return ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+    }
+
+    /**
+     * Whether the embedding page (Origin, else Referer) matches an allowed host
+     */
+    isOriginAllowed(req, constraints) {
+        const source = req.headers.origin || req.headers.referer;
+
+        if (!source || source === 'null') {
+            return Boolean(constraints.n);
+        }
+
+        let host;
+        try {
+            host = new URL(source).host.toLowerCase();
+        } catch {
+            return false;
+        }
+
+        return constraints.o.some(pattern => pattern.startsWith('*.')
+            ? host.endsWith(pattern.substring(1))
+            : host === pattern);
+    }
+
+    /**
+     * Whether the client IP falls in the allowlist
+     */
+    isIpAllowed(req, constraints) {
+        const ip = this.clientIp(req);
+        const version = net.isIP(ip);
+        if (!version) {
+            return false;
+        }
+
+        const blockList = new net.BlockList();
+        for (const entry of constraints.i) {
+            const { address, prefix, family } = this.parseCidr(entry);
+            blockList.addSubnet(address, prefix, family);
+        }
+        return blockList.check(ip, version === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    /**
+     * Enforce a token's constraints for a request
+     * Returns null when allowed, or a { error, message } body for a 403
+     * Allowed requests under a viewer cap are tracked until the response closes
+     */
+    check(req, res, { constraints, linkId }, token) {
+        if (!constraints) {
+            return null;
+        }
+
+        if (constraints.o && !this.isOriginAllowed(req, constraints)) {
+            return {
+                error: 'Origin not allowed',
+                message: 'This link can only be played from the sites it was issued for'
+            };
+        }
+
+        if (constraints.i && !this.isIpAllowed(req, constraints)) {
+            return {
+                error: 'IP not allowed',
+                message: 'This link cannot be played from your network'
+            };
+        }
+
+        if (constraints.m && !this.admitViewer(linkId || token, this.clientIp(req), constraints.m, res)) {
+            return {
+                error: 'Too many viewers',
+                message: `This link is limited to ${constraints.m} concurrent viewer${constraints.m === 1 ? '' : 's'}`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Count a viewer against a link's cap; false when the cap is already reached
+     * Viewers are identified by client IP, so one viewer's parallel range/segment
+     * requests only count once
+     */
+    admitViewer(key, viewerId, maxViewers, res) {
+        const now = Date.now();
+        this.sweep(now);
+
+        let viewers = this.viewers.get(key);
+        if (!viewers) {
+            viewers = new Map();
+            this.viewers.set(key, viewers);
+        }
+
+        this.pruneViewers(viewers, now);
+
+        let viewer = viewers.get(viewerId);
+        if (!viewer) {
+            if (viewers.size >= maxViewers) {
+                return false;
+            }
+            viewer = { active: 0, lastSeen: now };
+            viewers.set(viewerId, viewer);
+        }
+
+        viewer.active++;
+        viewer.lastSeen = now;
+
+        res.on('close', () => {
+            viewer.active--;
+            viewer.lastSeen = Date.now();
+        });
+
+        return true;
+    }
+
+    /**
+     * Drop viewers with no open response that have been idle too long
+     */
+    pruneViewers(viewers, now) {
+        for (const [viewerId, viewer] of viewers) {
+            if (viewer.active <= 0 && now - viewer.lastSeen > this.viewerIdleMs) {
+                viewers.delete(viewerId);
+            }
+        }
+    }
+
+    /**
+     * Periodically forget links nobody is watching, keeping memory bounded
+     */
+    sweep(now) {
+        if (now - this.lastSweep < this.viewerIdleMs) {
+            return;
+        }
+        this.lastSweep = now;
+
+        for (const [key, viewers] of this.viewers) {
+            this.pruneViewers(viewers, now);
+            if (viewers.size === 0) {
+                this.viewers.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = new AccessService();
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+/**
+ * Block cache for Drive media
+ *
+ * Files are cached in fixed-size blocks aligned to multiples of the block size,
+ * so overlapping and repeated range requests (Safari's bytes=0-1 probe, moov
+ * seeks, scrubbing) are answered from local disk. Missing blocks are fetched
+ * in one Drive range request per consecutive run; after each request the next
+ * few blocks are read ahead in the background, so sequential playback finds
+ * them cached. Blocks are evicted least-recently-used past the size cap.
+ */
+class BlockCacheService {
+    constructor() {
+        this.cacheDir = process.env.DRIVE_BLOCK_CACHE_DIR || path.join(os.tmpdir(), 'streamfreely-blocks');
+        // Off by default on Vercel, whose /tmp is small and per instance; 0 disables the cache
+        const maxMb = parseInt(process.env.DRIVE_BLOCK_CACHE_MAX_MB, 10);
+        this.maxCacheBytes = (Number.isNaN(maxMb) ? (process.env.VERCEL ? 0 : 2048) : maxMb) * 1024 * 1024;
+        this.blockSize = (parseInt(process.env.DRIVE_BLOCK_SIZE_KB, 10) || 1024) * 1024;
+        const readAhead = parseInt(process.env.DRIVE_READ_AHEAD_BLOCKS, 10);
+        this.readAhead = Number.isNaN(readAhead) ? 4 : readAhead;
+
+        // Cached blocks in least-recently-used order (block path -> bytes)
+        this.blocks = new Map();
+        this.cacheBytes = 0;
+
+        // Blocks being fetched (block path -> Promise resolved once written or failed)
+        this.pending = new Map();
+
+        // Scan adopting blocks left on disk by earlier runs (started on first read)
+        this.scanned = null;
+
+        this.counters = { hits: 0, misses: 0, driveRequests: 0, readAheadBlocks: 0, evictions: 0 };
+    }
+
+    get enabled() {
+        return this.maxCacheBytes > 0;
+    }
+
+    /**
+     * Directory for one version of a file - a changed file gets fresh blocks
+     */
+    fileDir({ id, md5Checksum, modifiedTime }) {
+        const key = crypto.createHash('sha1').update(`${id}:${md5Checksum || modifiedTime || ''}`).digest('hex');
+        return path.join(this.cacheDir, key);
+    }
+
+    blockPath(file, index) {
+        return path.join(file.dir, `${index}.blk`);
+    }
+
+    /**
+     * Byte length of a block (the last one is usually short)
+     */
+    blockLength(file, index) {
+        return Math.min(this.blockSize, file.size - index * this.blockSize);
+    }
+
+    /**
+     * Read bytes [start, end] of a Drive file through the cache
+     * fileInfo needs id and size; openRange(start, end) resolves to a Drive stream of that range
+     */
+    read(fileInfo, start, end, openRange) {
+        const file = {
+            dir: this.fileDir(fileInfo),
+            size: parseInt(fileInfo.size, 10),
+            openRange
+        };
+
+        // Drive streams feeding this reader, destroyed with it (viewer gone)
+        const sources = new Set();
+
+        const stream = Readable.from(this.generate(file, start, end, sources), { objectMode: false });
+        stream.on('close', () => {
+            for (const source of sources) {
+                source.destroy();
+            }
+        });
+        return stream;
+    }
+
+    async *generate(file, start, end, sources) {
+        if (!this.scanned) {
+            this.scanned = this.scanCache();
+        }
+        await this.scanned;
+
+        const first = Math.floor(start / this.blockSize);
+        const last = Math.floor(end / this.blockSize);
+        let index = first;
+
+        while (index <= last) {
+            const cached = await this.readBlock(file, index);
+            if (cached) {
+                this.counters.hits++;
+                yield this.slice(cached, index, start, end);
+                index++;
+                continue;
+            }
+
+            // Fetch the run of missing blocks from here in one Drive request
+            let runEnd = index;
+            while (runEnd < last && !this.isCached(file, runEnd + 1)) {
+                runEnd++;
+            }
+
+            for await (const [blockIndex, data] of this.fetchRun(file, index, runEnd, sources)) {
+                this.counters.misses++;
+                yield this.slice(data, blockIndex, start, end);
+            }
+            index = runEnd + 1;
+        }
+
+        this.readAheadFrom(file, last + 1);
+    }
+
+    /**
+     * The part of a block inside [start, end]
+     */
+    slice(data, index, start, end) {
+        const blockStart = index * this.blockSize;
+        return data.subarray(Math.max(0, start - blockStart), Math.min(data.length, end - blockStart + 1));
+    }
+
+    isCached(file, index) {
+        return this.blocks.has(this.blockPath(file, index));
+    }
+
+    /**
+     * A block from disk, or null
+     * Waits for a fetch of the same block already in progress
+     */
+    async readBlock(file, index) {
+        const blockPath = this.blockPath(file, index);
+
+        if (this.pending.has(blockPath)) {
+            await this.pending.get(blockPath);
+        }
+
+        let data;
+        try {
+            data = await fs.promises.readFile(blockPath);
+        } catch {
+            this.forget(blockPath);
+            return null;
+        }
+
+        if (data.length !== this.blockLength(file, index)) {
+            this.forget(blockPath);
+            return null;
+        }
+
+        if (this.blocks.has(blockPath)) {
+            // Mark as most recently used
+            this.blocks.delete(blockPath);
+            this.blocks.set(blockPath, data.length);
+        } else {
+            this.track(blockPath, data.length);
+        }
+
+        return data;
+    }
+
+    /**
+     * Fetch blocks [from, to] with one Drive request, yielding [index, data] as each
+     * block completes and writing it to the cache
+     * The Drive stream is added to sources (if given) while it is open
+     */
+    async *fetchRun(file, from, to, sources = null) {
+        const resolvers = new Map();
+        for (let index = from; index <= to; index++) {
+            const blockPath = this.blockPath(file, index);
+            if (!this.pending.has(blockPath)) {
+                this.pending.set(blockPath, new Promise(resolve => resolvers.set(blockPath, resolve)));
+            }
+        }
+        const settle = (blockPath) => {
+            const resolve = resolvers.get(blockPath);
+            if (resolve) {
+                resolvers.delete(blockPath);
+                this.pending.delete(blockPath);
+                resolve();
+            }
+        };
+
+        const start = from * this.blockSize;
+        const end = Math.min(file.size, (to + 1) * this.blockSize) - 1;
+
+        this.counters.driveRequests++;
+        let source;
+
+        try {
+            source = await file.openRange(start, end);
+            if (sources) {
+                sources.add(source);
+            }
+
+            let index = from;
+            let parts = [];
+            let filled = 0;
+
+            for await (const chunk of source) {
+                let offset = 0;
+                while (offset < chunk.length && index <= to) {
+                    const piece = chunk.subarray(offset, offset + this.blockLength(file, index) - filled);
+                    parts.push(piece);
+                    filled += piece.length;
+                    offset += piece.length;
+
+                    if (filled === this.blockLength(file, index)) {
+                        const data = Buffer.concat(parts);
+                        const blockPath = this.blockPath(file, index);
+                        await this.writeBlock(blockPath, data);
+                        settle(blockPath);
+
+                        yield [index, data];
+
+                        index++;
+                        parts = [];
+                        filled = 0;
+                    }
+                }
+            }
+
+            if (index <= to) {
+                throw new Error(`Drive ended the range early, at block ${index}`);
+            }
+        } finally {
+            if (source) {
+                source.destroy();
+                if (sources) {
+                    sources.delete(source);
+                }
+            }
+            for (const blockPath of [...resolvers.keys()]) {
+                settle(blockPath);
+            }
+        }
+    }
+
+    /**
+     * Fetch the next blocks after a request in the background
+     */
+    readAheadFrom(file, from) {
+        const lastBlock = Math.ceil(file.size / this.blockSize) - 1;
+        let to = from - 1;
+        while (to < Math.min(lastBlock, from + this.readAhead - 1)
+            && !this.isCached(file, to + 1)
+            && !this.pending.has(this.blockPath(file, to + 1))) {
+            to++;
+        }
+
+        if (to < from) {
+            return;
+        }
+
+        (async () => {
+            // Blocks are written to the cache as they arrive
+            for await (const block of this.fetchRun(file, from, to)) {
+                this.counters.readAheadBlocks++;
+            }
+        })().catch((error) => {
+            console.warn(`Drive read-ahead failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * Add the blocks already on disk (<version>/<index>.blk) to the index, oldest
+     * first, so they count toward the size cap and are not fetched again
+     */
+    async scanCache() {
+        const found = [];
+
+        const list = (dir) => fs.promises.readdir(dir).catch(() => []);
+        for (const version of await list(this.cacheDir)) {
+            const dir = path.join(this.cacheDir, version);
+            for (const name of await list(dir)) {
+                if (!name.endsWith('.blk')) continue;
+                try {
+                    const stats = await fs.promises.stat(path.join(dir, name));
+                    found.push({ blockPath: path.join(dir, name), size: stats.size, mtimeMs: stats.mtimeMs });
+                } catch {
+                    // Removed meanwhile
+                }
+            }
+        }
+
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { blockPath, size } of found) {
+            if (!this.blocks.has(blockPath)) {
+                this.track(blockPath, size);
+            }
+        }
+
+        if (found.length > 0) {
+            console.log(`Drive block cache: adopted ${found.length} blocks (${Math.round(this.cacheBytes / 1024 / 1024)} MB)`);
+        }
+    }
+
+    /**
+     * Write a block (temp file + rename, so readers never see a partial block)
+     */
+    async writeBlock(blockPath, data) {
+        const tempPath = `${blockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(blockPath), { recursive: true });
+            await fs.promises.writeFile(tempPath, data);
+            await fs.promises.rename(tempPath, blockPath);
+            this.track(blockPath, data.length);
+        } catch (error) {
+            fs.promises.unlink(tempPath).catch(() => { });
+            console.error('Drive block cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Record a block in the LRU index and evict the oldest ones over the size cap
+     */
+    track(blockPath, size) {
+        this.forget(blockPath);
+        this.blocks.set(blockPath, size);
+        this.cacheBytes += size;
+
+        for (const [oldPath] of this.blocks) {
+            if (this.cacheBytes <= this.maxCacheBytes || oldPath === blockPath) break;
+            this.forget(oldPath);
+            this.counters.evictions++;
+            fs.promises.unlink(oldPath).catch(() => { });
+        }
+    }
+
+    /**
+     * Drop a block from the index (not from disk)
+     */
+    forget(blockPath) {
+        if (this.blocks.has(blockPath)) {
+            this.cacheBytes -= this.blocks.get(blockPath);
+            this.blocks.delete(blockPath);
+        }
+    }
+
+    /**
+     * Block counters and current size (per process)
+     */
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            backend: 'disk',
+            blockSize: this.blockSize,
+            size: this.blocks.size,
+            bytes: this.cacheBytes,
+            maxBytes: this.maxCacheBytes,
+            ...this.counters,
+            hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : 0
+        };
+    }
+}
+
+module.exports = new BlockCacheService();
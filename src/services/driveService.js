@@ -1,14 +1,25 @@
 const { google } = require('googleapis');
 const https = require('https');
+const { createCache } = require('../cache');
+const { SingleFlight, StreamFlights } = require('../utils/singleFlight');
+const blockCacheService = require('./blockCacheService');
+const loopbackService = require('./loopbackService');
+const poolService = require('./poolService');
+const transcodeService = require('./transcodeService');
 
 class DriveService {
     constructor() {
         this.drive = null;
+        this.auth = null;
         this.apiKey = process.env.GOOGLE_API_KEY;
 
         // Cache for file info to avoid repeated API calls
-        this.fileInfoCache = new Map();
         this.cacheTTL = 5 * 60 * 1000; // 5 minutes cache TTL
+        this.fileInfoCache = createCache('fileInfo', { ttl: this.cacheTTL, maxEntries: 1000 });
+
+        // Concurrent requests for the same metadata or byte range share one Drive call
+        this.fileInfoFlights = new SingleFlight();
+        this.streamFlights = new StreamFlights();
 
         this.initializeDrive();
     }
@@ -17,18 +28,19 @@ class DriveService {
         try {
             // Check for service account credentials first
             if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-                const auth = new google.auth.GoogleAuth({
+                this.auth = new google.auth.GoogleAuth({
                     keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS,
                     scopes: ['https://www.googleapis.com/auth/drive.readonly']
                 });
-                this.drive = google.drive({ version: 'v3', auth });
+                this.drive = google.drive({ version: 'v3', auth: this.auth, ...this.transportOptions() });
                 console.log('✓ Google Drive initialized with service account');
             }
             // Fall back to API key
             else if (this.apiKey) {
                 this.drive = google.drive({
                     version: 'v3',
-                    auth: this.apiKey
+                    auth: this.apiKey,
+                    ...this.transportOptions()
                 });
                 console.log('✓ Google Drive initialized with API key');
             }
@@ -41,33 +53,27 @@ class DriveService {
         }
     }
 
+    /**
+     * Drive requests share the pooled keep-alive agent, unless an outbound
+     * proxy is configured (gaxios then supplies its own proxy agent)
+     */
+    transportOptions() {
+        const proxied = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy'].some(name => process.env[name]);
+        return proxied ? {} : { agent: poolService.httpsAgent };
+    }
+
     /**
      * Get cached file info or null if not cached/expired
      */
     getCachedFileInfo(fileId) {
-        const cached = this.fileInfoCache.get(fileId);
-        if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
-            return cached.data;
-        }
-        if (cached) this.fileInfoCache.delete(fileId);
-        return null;
+        return this.fileInfoCache.get(fileId) || null;
     }
 
     /**
      * Cache file info
      */
     setCachedFileInfo(fileId, data) {
-        this.fileInfoCache.set(fileId, { data, timestamp: Date.now() });
-
-        // Clean old cache entries periodically (every 100 entries)
-        if (this.fileInfoCache.size > 100) {
-            const now = Date.now();
-            for (const [key, value] of this.fileInfoCache.entries()) {
-                if (now - value.timestamp > this.cacheTTL) {
-                    this.fileInfoCache.delete(key);
-                }
-            }
-        }
+        this.fileInfoCache.set(fileId, data);
     }
 
     /**
@@ -121,33 +127,67 @@ class DriveService {
             }
         }
 
-        try {
-            const response = await this.drive.files.get({
-                fileId: fileId,
-                fields: 'id,name,size,mimeType,videoMediaMetadata'
-            });
-
-            // Cache the result
-            this.setCachedFileInfo(fileId, response.data);
+        return this.fileInfoFlights.run(fileId, async () => {
+            try {
+                const response = await this.drive.files.get({
+                    fileId: fileId,
+                    fields: 'id,name,size,mimeType,md5Checksum,modifiedTime,videoMediaMetadata'
+                });
 
-            return response.data;
-        } catch (error) {
-            if (error.code === 404) {
-                return null;
+                // Keep container metadata read earlier while the file is unchanged
+                const previous = this.getCachedFileInfo(fileId);
+                const data = previous && previous.mediaInfo !== undefined
+                    && previous.md5Checksum === response.data.md5Checksum
+                    && previous.modifiedTime === response.data.modifiedTime
+                    ? { ...response.data, mediaInfo: previous.mediaInfo }
+                    : response.data;
+
+                // Cache the result
+                this.setCachedFileInfo(fileId, data);
+
+                return data;
+            } catch (error) {
+                if (error.code === 404) {
+                    return null;
+                }
+                console.error('Error getting file info:', error.message);
+                throw error;
             }
-            console.error('Error getting file info:', error.message);
-            throw error;
-        }
+        });
     }
 
     /**
      * Stream file content from Google Drive with optional range support
+     * Served through the block cache when it is enabled and the file size is known
      */
     async streamFile(fileId, start = null, end = null) {
         if (!this.drive) {
             throw new Error('Google Drive not initialized');
         }
 
+        if (blockCacheService.enabled) {
+            const fileInfo = await this.getFileInfo(fileId);
+            const size = fileInfo ? parseInt(fileInfo.size, 10) : 0;
+
+            if (size > 0) {
+                return blockCacheService.read(
+                    fileInfo,
+                    start === null ? 0 : start,
+                    end === null ? size - 1 : Math.min(end, size - 1),
+                    (from, to) => this.openRange(fileId, from, to)
+                );
+            }
+        }
+
+        return this.openRange(fileId, start, end);
+    }
+
+    /**
+     * Open a Drive media download (the whole file when start/end are null)
+     * Concurrent requests for the same range share one download; each caller
+     * gets its own stream
+     */
+    async openRange(fileId, start = null, end = null) {
         const headers = {};
 
         if (start !== null && end !== null) {
@@ -155,21 +195,46 @@ class DriveService {
         }
 
         try {
-            const response = await this.drive.files.get(
-                { fileId: fileId, alt: 'media' },
-                {
-                    responseType: 'stream',
-                    headers: headers
-                }
-            );
+            const { stream } = await this.streamFlights.open(`${fileId}:${headers.Range || 'full'}`, async () => {
+                const response = await this.drive.files.get(
+                    { fileId: fileId, alt: 'media' },
+                    {
+                        responseType: 'stream',
+                        headers: headers
+                    }
+                );
+                return { stream: response.data };
+            });
 
-            return response.data;
+            return stream;
         } catch (error) {
             console.error('Error streaming file:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Media URL for external readers (e.g. ffmpeg): a loopback URL serving the
+     * file through streamFile, so no Drive credential appears on a command line
+     * Returns { url, release } - call release() once the reader is done
+     */
+    async getMediaSource(fileId) {
+        if (!this.drive) {
+            throw new Error('Google Drive not initialized');
+        }
+
+        const fileInfo = await this.getFileInfo(fileId);
+        if (!fileInfo) {
+            throw new Error(`Drive file ${fileId} not found`);
+        }
+
+        const { url, release } = await loopbackService.expose({
+            size: parseInt(fileInfo.size, 10) || 0,
+            open: (start, end) => this.streamFile(fileId, start, end)
+        });
+        return { url, release };
+    }
+
     /**
      * Get direct download link (for public files)
      */
@@ -182,10 +247,16 @@ class DriveService {
      */
     analyzeVideoQuality(fileInfo) {
         const metadata = fileInfo.videoMediaMetadata || {};
+        // Tracks parsed from the container (mediaInfoService), when they have been read
+        const media = fileInfo.mediaInfo || null;
+        const tracks = media ? media.tracks : [];
+        const video = tracks.find(track => track.type === 'video') || null;
+
+        // Drive's metadata first - the container fills in for files Drive has not processed yet
         const fileSize = parseInt(fileInfo.size, 10) || 0;
-        const durationMs = parseInt(metadata.durationMillis, 10) || 0;
-        const width = parseInt(metadata.width, 10) || 0;
-        const height = parseInt(metadata.height, 10) || 0;
+        const durationMs = parseInt(metadata.durationMillis, 10) || Math.round(((media && media.duration) || 0) * 1000);
+        const width = parseInt(metadata.width, 10) || (video && video.width) || 0;
+        const height = parseInt(metadata.height, 10) || (video && video.height) || 0;
 
         // Calculate bitrate (bits per second)
         const durationSeconds = durationMs / 1000;
@@ -198,12 +269,17 @@ class DriveService {
         // Classify bitrate quality
         const bitrateQuality = this.classifyBitrate(bitrate, height);
 
-        // Detect codec from mimeType
-        const codec = this.detectCodec(fileInfo.mimeType);
+        // Codec of the video track, or guessed from mimeType
+        const codec = video
+            ? [video.name, video.profile].filter(Boolean).join(' ')
+            : this.detectCodec(fileInfo.mimeType);
 
         // Generate available quality options
         const qualityOptions = this.generateQualityOptions(width, height, bitrate);
 
+        // Containers browsers cannot play are rewrapped as MP4 when streamed at original quality
+        const remux = transcodeService.needsRemux(fileInfo.mimeType);
+
         return {
             width,
             height,
@@ -215,6 +291,12 @@ class DriveService {
             bitrateLabel: `${bitrateMbps} Mbps`,
             bitrateQuality,
             codec,
+            // RFC 6381 codec strings of every track, e.g. for MediaSource.isTypeSupported
+            codecs: tracks.map(track => track.codec).filter(Boolean).join(', ') || null,
+            frameRate: video ? video.frameRate : null,
+            rotation: video ? video.rotation : 0,
+            tracks,
+            remux,
             fileSize,
             fileSizeFormatted: this.formatFileSize(fileSize),
             qualityOptions
@@ -264,6 +346,29 @@ class DriveService {
         return { level: 'low', label: 'Low Quality', color: '#ef4444' };
     }
 
+    /**
+     * Container of a Drive video as served by /stream: { extension, contentType }
+     * Types without an extension of their own keep .mp4 URLs but are still served as what they are;
+     * remuxed types are served as MP4
+     */
+    getContainer(mimeType) {
+        if (transcodeService.needsRemux(mimeType)) {
+            return { extension: 'mp4', contentType: 'video/mp4' };
+        }
+
+        const extensions = {
+            'video/mp4': 'mp4',
+            'video/webm': 'webm',
+            'video/quicktime': 'mov',
+            'video/x-matroska': 'mkv'
+        };
+
+        return {
+            extension: extensions[mimeType] || 'mp4',
+            contentType: mimeType && mimeType.startsWith('video/') ? mimeType : 'video/mp4'
+        };
+    }
+
     /**
      * Detect video codec from MIME type
      */
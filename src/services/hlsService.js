@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const driveService = require('./driveService');
+const transcodeService = require('./transcodeService');
+
+class HlsService {
+    constructor() {
+        this.cacheDir = process.env.HLS_CACHE_DIR || path.join(os.tmpdir(), 'streamfreely-hls');
+        this.maxCacheBytes = (parseInt(process.env.HLS_CACHE_MAX_MB, 10) || 2048) * 1024 * 1024;
+        this.segmentDuration = 6; // seconds
+
+        // Packaged segments on disk, in least-recently-used order (path -> bytes)
+        this.segments = new Map();
+        this.cacheBytes = 0;
+
+        // Segments currently being encoded (path -> Promise)
+        this.pending = new Map();
+
+        // Scan adopting segments left on disk by earlier runs (started on first use)
+        this.scanned = null;
+    }
+
+    /**
+     * Renditions offered for a file, capped at the quality the link was issued for
+     */
+    getRenditions(fileInfo, maxQuality = 'original') {
+        const { qualityOptions } = driveService.analyzeVideoQuality(fileInfo);
+        const cap = qualityOptions.find(option => option.id === maxQuality);
+
+        if (!cap || cap.isOriginal) {
+            return qualityOptions;
+        }
+        return qualityOptions.filter(option => !option.isOriginal && option.height <= cap.height);
+    }
+
+    /**
+     * Encoding profile for a rendition
+     */
+    getProfile(option) {
+        const preset = transcodeService.profiles[option.id];
+        return {
+            height: option.height,
+            videoBitrate: option.bitrate,
+            audioBitrate: preset ? preset.audioBitrate : 192000
+        };
+    }
+
+    /**
+     * Number of fixed-length segments covering the file
+     */
+    getSegmentCount(fileInfo) {
+        const { durationMs } = driveService.analyzeVideoQuality(fileInfo);
+        return Math.ceil(durationMs / 1000 / this.segmentDuration);
+    }
+
+    /**
+     * Build the master playlist (one variant per rendition)
+     */
+    buildMasterPlaylist(fileInfo, maxQuality) {
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+        for (const option of this.getRenditions(fileInfo, maxQuality)) {
+            const profile = this.getProfile(option);
+            // Add ~10% for MPEG-TS container overhead
+            const bandwidth = Math.round((profile.videoBitrate + profile.audioBitrate) * 1.1);
+
+            lines.push(
+                `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${option.width}x${option.height},` +
+                `CODECS="avc1.640028,mp4a.40.2",NAME="${option.id}"`,
+                `${option.id}/index.m3u8`
+            );
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Build the VOD media playlist for one rendition
+     */
+    buildMediaPlaylist(fileInfo) {
+        const { durationMs } = driveService.analyzeVideoQuality(fileInfo);
+        const totalSeconds = durationMs / 1000;
+        const count = this.getSegmentCount(fileInfo);
+
+        const lines = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            `#EXT-X-TARGETDURATION:${this.segmentDuration}`,
+            '#EXT-X-MEDIA-SEQUENCE:0',
+            '#EXT-X-PLAYLIST-TYPE:VOD'
+        ];
+
+        for (let index = 0; index < count; index++) {
+            const duration = Math.min(this.segmentDuration, totalSeconds - index * this.segmentDuration);
+            lines.push(`#EXTINF:${duration.toFixed(3)},`, `${index}.ts`);
+        }
+
+        lines.push('#EXT-X-ENDLIST');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Directory for one version of a file - segments of a replaced file are
+     * never served (same keying as blockCacheService.fileDir)
+     */
+    versionDir(fileId, { md5Checksum, modifiedTime }) {
+        const key = crypto.createHash('sha1').update(`${fileId}:${md5Checksum || modifiedTime || ''}`).digest('hex');
+        return path.join(this.cacheDir, key);
+    }
+
+    /**
+     * Get the path of a packaged segment, encoding it on first request
+     * Returns null if the rendition or index does not exist
+     */
+    async getSegment(fileId, fileInfo, quality, index, maxQuality) {
+        const option = this.getRenditions(fileInfo, maxQuality).find(o => o.id === quality);
+
+        if (!option || !Number.isInteger(index) || index < 0 || index >= this.getSegmentCount(fileInfo)) {
+            return null;
+        }
+
+        if (!this.scanned) {
+            this.scanned = this.scanCache();
+        }
+        await this.scanned;
+
+        const segmentPath = path.join(this.versionDir(fileId, fileInfo), quality, `${index}.ts`);
+
+        // Cached - mark as most recently used
+        if (this.segments.has(segmentPath)) {
+            const size = this.segments.get(segmentPath);
+            this.segments.delete(segmentPath);
+            this.segments.set(segmentPath, size);
+            return segmentPath;
+        }
+
+        // Share one encode between concurrent requests for the same segment
+        if (!this.pending.has(segmentPath)) {
+            const job = this.packageSegment(fileId, fileInfo, option, index, segmentPath)
+                .finally(() => this.pending.delete(segmentPath));
+            this.pending.set(segmentPath, job);
+        }
+
+        return this.pending.get(segmentPath);
+    }
+
+    /**
+     * Encode a segment into the cache directory
+     */
+    async packageSegment(fileId, fileInfo, option, index, segmentPath) {
+        const { durationMs } = driveService.analyzeVideoQuality(fileInfo);
+        const start = index * this.segmentDuration;
+        const duration = Math.min(this.segmentDuration, durationMs / 1000 - start);
+
+        await fs.promises.mkdir(path.dirname(segmentPath), { recursive: true });
+
+        // Write to a temp file so readers never see a partial segment
+        const tempPath = `${segmentPath}.${process.pid}.tmp`;
+
+        // A loopback URL, so no Drive credential is in ffmpeg's argv; released when ffmpeg exits
+        const source = await driveService.getMediaSource(fileId);
+
+        console.log(`Packaging HLS segment: ${fileId} ${option.id} #${index}`);
+
+        try {
+            await transcodeService.transcodeSegment(source, this.getProfile(option), {
+                start,
+                duration,
+                output: tempPath
+            });
+            await fs.promises.rename(tempPath, segmentPath);
+        } catch (error) {
+            fs.promises.unlink(tempPath).catch(() => { });
+            throw error;
+        }
+
+        const stats = await fs.promises.stat(segmentPath);
+        this.trackSegment(segmentPath, stats.size);
+
+        return segmentPath;
+    }
+
+    /**
+     * Add the segments already on disk (<version>/<quality>/<index>.ts) to the
+     * index, oldest first, so they count toward the size cap and are evicted
+     */
+    async scanCache() {
+        const found = [];
+
+        const list = (dir) => fs.promises.readdir(dir).catch(() => []);
+        for (const version of await list(this.cacheDir)) {
+            for (const quality of await list(path.join(this.cacheDir, version))) {
+                const dir = path.join(this.cacheDir, version, quality);
+                for (const name of await list(dir)) {
+                    if (!name.endsWith('.ts')) continue;
+                    try {
+                        const stats = await fs.promises.stat(path.join(dir, name));
+                        found.push({ segmentPath: path.join(dir, name), size: stats.size, mtimeMs: stats.mtimeMs });
+                    } catch {
+                        // Removed meanwhile
+                    }
+                }
+            }
+        }
+
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { segmentPath, size } of found) {
+            if (!this.segments.has(segmentPath)) {
+                this.trackSegment(segmentPath, size);
+            }
+        }
+
+        if (found.length > 0) {
+            console.log(`HLS cache: adopted ${found.length} segments (${Math.round(this.cacheBytes / 1024 / 1024)} MB)`);
+        }
+    }
+
+    /**
+     * Record a segment in the LRU index and evict the oldest ones over the size cap
+     */
+    trackSegment(segmentPath, size) {
+        this.segments.set(segmentPath, size);
+        this.cacheBytes += size;
+
+        for (const [oldPath, oldSize] of this.segments) {
+            if (this.cacheBytes <= this.maxCacheBytes || oldPath === segmentPath) break;
+            this.segments.delete(oldPath);
+            this.cacheBytes -= oldSize;
+            fs.promises.unlink(oldPath).catch(() => { });
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new HlsService();
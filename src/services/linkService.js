@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Registry of issued stream links
+ * Every link handed out gets an id that is embedded in its token, so a single
+ * link can be revoked without rotating the signing secret. Entries are kept
+ * (revoked ones too) as an audit trail of what has been shared
+ */
+class LinkService {
+    constructor() {
+        // Revocations must survive restarts, so the default is the project's data/ directory.
+        // Serverless instances can only write their temp dir - there each instance has its own registry
+        this.durable = Boolean(process.env.LINK_REGISTRY_FILE) || !process.env.VERCEL;
+        this.file = process.env.LINK_REGISTRY_FILE || (this.durable
+            ? path.join(__dirname, '..', '..', 'data', 'links.json')
+            : path.join(os.tmpdir(), 'streamfreely-links.json'));
+
+        if (!this.durable) {
+            console.warn('⚠ LINK_REGISTRY_FILE is not set - the link registry is per instance and revocations are not enforced across instances');
+        }
+
+        // Expired links stay listed this long before being dropped
+        this.retention = (parseInt(process.env.LINK_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+        // id -> link record, answered from memory only - token decodes never touch the disk
+        this.links = new Map();
+        this.loadedMtime = 0;
+
+        // Changes not yet on disk, re-applied when the map is replaced by a reload
+        this.queued = new Set();
+        // Disk writes, one at a time
+        this.writes = Promise.resolve();
+        // Reload in progress
+        this.reloading = null;
+
+        // Other processes may write the file - watched, and re-checked at least this often
+        this.reloadInterval = 5000;
+
+        this.loadSync();
+        this.watch();
+    }
+
+    /**
+     * Read the registry at startup (missing file = empty registry)
+     */
+    loadSync() {
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this.links = this.parse(fs.readFileSync(this.file, 'utf8'));
+            this.loadedMtime = fs.statSync(this.file).mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load link registry:', error.message);
+            }
+        }
+    }
+
+    parse(text) {
+        return new Map(JSON.parse(text).map(link => [link.id, link]));
+    }
+
+    /**
+     * Reload when another process writes the file: fs.watch on its directory,
+     * plus a timer for filesystems that do not report changes
+     */
+    watch() {
+        try {
+            const watcher = fs.watch(path.dirname(this.file), (event, name) => {
+                if (!name || name === path.basename(this.file)) {
+                    this.reload();
+                }
+            });
+            watcher.on('error', () => { });
+            watcher.unref();
+        } catch {
+            // Not supported here - the timer alone picks up changes
+        }
+
+        setInterval(() => this.reload(), this.reloadInterval).unref();
+    }
+
+    /**
+     * Read the file again if it changed since it was loaded or written
+     * Concurrent calls share one read
+     */
+    reload() {
+        if (!this.reloading) {
+            this.reloading = (async () => {
+                try {
+                    const { mtimeMs } = await fs.promises.stat(this.file);
+                    if (mtimeMs === this.loadedMtime) {
+                        return;
+                    }
+                    this.replace(this.parse(await fs.promises.readFile(this.file, 'utf8')), mtimeMs);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.error('Failed to reload link registry:', error.message);
+                    }
+                }
+            })().finally(() => {
+                this.reloading = null;
+            });
+        }
+        return this.reloading;
+    }
+
+    /**
+     * Swap in records read from disk, keeping changes still waiting to be written
+     */
+    replace(records, mtimeMs) {
+        for (const change of this.queued) {
+            change(records);
+        }
+        this.links = records;
+        this.loadedMtime = mtimeMs;
+    }
+
+    /**
+     * Apply a change to the file: under a lock file (other processes write it
+     * too), re-read it, apply the change, drop records of links expired past
+     * their retention, and write it back through a temp file + rename.
+     * Changes are written one at a time; resolves once this one is on disk
+     *
+     * Revoked records are kept until their link expires (forever for "never") so
+     * the revocation holds for as long as the token would otherwise work
+     */
+    update(change) {
+        change(this.links);
+        this.queued.add(change);
+
+        const write = this.writes.then(() => this.withLock(async () => {
+            let records;
+            try {
+                records = this.parse(await fs.promises.readFile(this.file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    // Never overwrite a registry that could not be read
+                    throw error;
+                }
+                records = new Map();
+            }
+
+            change(records);
+
+            const cutoff = Date.now() - this.retention;
+            for (const [id, link] of records) {
+                if (link.expiresAt !== null && link.expiresAt < cutoff) {
+                    records.delete(id);
+                }
+            }
+
+            const tempFile = `${this.file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            try {
+                await fs.promises.writeFile(tempFile, JSON.stringify([...records.values()], null, 2));
+                await fs.promises.rename(tempFile, this.file);
+            } catch (error) {
+                fs.promises.unlink(tempFile).catch(() => { });
+                throw error;
+            }
+
+            this.queued.delete(change);
+            const { mtimeMs } = await fs.promises.stat(this.file);
+            this.replace(records, mtimeMs);
+        })).catch((error) => {
+            this.queued.delete(change);
+            console.error('Failed to save link registry:', error.message);
+            throw error;
+        });
+
+        this.writes = write.catch(() => { });
+        return write;
+    }
+
+    /**
+     * Run fn holding <file>.lock, taking over locks older than 10 seconds
+     * (left by a process that died holding them)
+     */
+    async withLock(fn) {
+        const lockFile = `${this.file}.lock`;
+
+        for (;;) {
+            try {
+                await (await fs.promises.open(lockFile, 'wx')).close();
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                const stats = await fs.promises.stat(lockFile).catch(() => null);
+                if (stats && Date.now() - stats.mtimeMs > 10000) {
+                    await fs.promises.unlink(lockFile).catch(() => { });
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, 25));
+                }
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.promises.unlink(lockFile).catch(() => { });
+        }
+    }
+
+    /**
+     * Record a newly issued link and return it once it is on disk
+     * type: "drive" (fileId) or "universal" (sourceUrl)
+     */
+    async register({
+        type,
+        fileId = null,
+        sourceUrl = null,
+        quality = null,
+        expiresAt,
+        label = null,
+        creator = null,
+        constraints = null
+    }) {
+        const link = {
+            id: crypto.randomBytes(6).toString('base64url'),
+            type,
+            fileId,
+            sourceUrl,
+            quality,
+            label,
+            creator,
+            constraints,
+            createdAt: Date.now(),
+            expiresAt,
+            revokedAt: null
+        };
+
+        await this.update(records => records.set(link.id, { ...link }));
+
+        return link;
+    }
+
+    /**
+     * Look up a link by id
+     */
+    get(id) {
+        return this.links.get(id) || null;
+    }
+
+    /**
+     * All links, newest first (optionally only those for one Drive file)
+     */
+    list({ fileId } = {}) {
+        return [...this.links.values()]
+            .filter(link => !fileId || link.fileId === fileId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Revoke a link - resolves to the updated record once it is on disk, or null if unknown
+     */
+    async revoke(id) {
+        // Pick up links other processes issued since the last reload
+        await this.reload();
+
+        const link = this.links.get(id);
+        if (!link) {
+            return null;
+        }
+
+        if (!link.revokedAt) {
+            const revokedAt = Date.now();
+            await this.update((records) => {
+                const record = records.get(id);
+                if (record && !record.revokedAt) {
+                    record.revokedAt = revokedAt;
+                }
+            });
+        }
+
+        return this.links.get(id) || link;
+    }
+
+    /**
+     * Whether a link id has been revoked
+     * Tokens issued before the registry existed carry no id and are never revoked.
+     * An id the registry does not know counts as revoked when the registry is
+     * durable: records outlive their links, so a missing one was lost, not expired.
+     * A link another process issued a moment ago may not have been reloaded yet -
+     * the miss starts a reload, and the watcher usually has it within milliseconds
+     */
+    isRevoked(id) {
+        if (!id) {
+            return false;
+        }
+
+        const link = this.links.get(id);
+        if (!link) {
+            this.reload();
+            return this.durable;
+        }
+
+        return Boolean(link.revokedAt);
+    }
+
+    /**
+     * Link record as returned by the API
+     */
+    describe(link) {
+        const toIso = timestamp => (timestamp === null ? null : new Date(timestamp).toISOString());
+
+        let status = 'active';
+        if (link.revokedAt) {
+            status = 'revoked';
+        } else if (link.expiresAt !== null && Date.now() > link.expiresAt) {
+            status = 'expired';
+        }
+
+        return {
+            ...link,
+            status,
+            createdAt: toIso(link.createdAt),
+            expiresAt: toIso(link.expiresAt),
+            revokedAt: toIso(link.revokedAt)
+        };
+    }
+}
+
+module.exports = new LinkService();
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const http = require('http');
+const { pipeline } = require('stream');
+const { parseRange, contentRange } = require('../utils/httpRange');
+
+/**
+ * Loopback media server for external readers (ffmpeg)
+ *
+ * Drive needs an API key or OAuth token, and anything passed on a command line
+ * is visible to every local user through `ps`. Instead, each reader gets a
+ * 127.0.0.1 URL with a random path that serves one file - with byte ranges, so
+ * ffmpeg can seek - through our own Drive client, and stops working once the
+ * reader is done with it.
+ */
+class LoopbackService {
+    constructor() {
+        this.server = null;
+        this.listening = null;
+
+        // Exposed sources (path id -> { size, open })
+        this.sources = new Map();
+    }
+
+    /**
+     * Start the server on a random loopback port (once)
+     */
+    start() {
+        if (!this.listening) {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.listening = new Promise((resolve, reject) => {
+                this.server.once('error', reject);
+                this.server.listen(0, '127.0.0.1', () => {
+                    // Never keep the process alive on its own
+                    this.server.unref();
+                    resolve(this.server.address().port);
+                });
+            });
+        }
+        return this.listening;
+    }
+
+    /**
+     * Serve bytes until released
+     * size: total bytes (0 = unknown, served without ranges)
+     * open(start, end): readable stream of bytes [start, end] (null, null = everything)
+     * Returns { url, release }
+     */
+    async expose({ size, open }) {
+        const port = await this.start();
+        const id = crypto.randomBytes(24).toString('base64url');
+
+        this.sources.set(id, { size, open });
+
+        return {
+            url: `http://127.0.0.1:${port}/${id}`,
+            release: () => this.sources.delete(id)
+        };
+    }
+
+    async handle(req, res) {
+        const source = this.sources.get(req.url.substring(1));
+
+        if (!source || (req.method !== 'GET' && req.method !== 'HEAD')) {
+            res.statusCode = 404;
+            return res.end();
+        }
+
+        const { size, open } = source;
+        const range = size > 0 ? parseRange(req.headers.range, size, { multipart: false }) : null;
+
+        if (range && range.unsatisfiable) {
+            res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+            return res.end();
+        }
+
+        const start = range ? range.ranges[0].start : 0;
+        const end = range ? range.ranges[0].end : size - 1;
+        const headers = { 'Content-Type': 'application/octet-stream' };
+        if (size > 0) {
+            headers['Accept-Ranges'] = 'bytes';
+            headers['Content-Length'] = end - start + 1;
+        }
+        if (range) {
+            headers['Content-Range'] = contentRange(start, end, size);
+        }
+
+        if (req.method === 'HEAD') {
+            res.writeHead(range ? 206 : 200, headers);
+            return res.end();
+        }
+
+        try {
+            const stream = size > 0 ? await open(start, end) : await open(null, null);
+            res.writeHead(range ? 206 : 200, headers);
+            // ffmpeg closing the connection (a seek) aborts the read, and vice versa
+            pipeline(stream, res, () => { });
+        } catch (error) {
+            console.error('Loopback source error:', error.message);
+            if (!res.headersSent) {
+                res.statusCode = 502;
+                res.end();
+            } else {
+                res.destroy(error);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new LoopbackService();
@@ -0,0 +1,109 @@
+const driveService = require('./driveService');
+const { SingleFlight } = require('../utils/singleFlight');
+const { readBoxes, describeMovie } = require('../utils/mp4');
+
+// Bytes read per look into the file - the whole moov of most faststart files
+const WINDOW_BYTES = 64 * 1024;
+
+// moov boxes larger than this (very long files) are not read
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+// Top-level boxes stepped over while looking for moov
+const MAX_BOXES = 32;
+
+// Drive types stored in the ISO BMFF / QuickTime container
+const MP4_TYPES = ['video/mp4', 'video/quicktime', 'video/x-m4v', 'video/3gpp'];
+
+/**
+ * Container metadata of Drive MP4/MOV files
+ *
+ * Drive's videoMediaMetadata has no codecs, tracks or frame rate, so the
+ * file's moov box is range-read through driveService.streamFile - from the
+ * first window when the file is faststart, otherwise by stepping over the
+ * top-level boxes (usually one mdat) to where it is - and parsed in JS.
+ */
+class MediaInfoService {
+    constructor() {
+        // Concurrent analyses of one file share the reads
+        this.flights = new SingleFlight();
+    }
+
+    /**
+     * File info with `mediaInfo` added: { duration, tracks } (see utils/mp4
+     * describeMovie), or null for other containers and files without a readable moov.
+     * The result is cached with the file info; read errors leave it unset
+     */
+    async withMediaInfo(fileId, fileInfo) {
+        if (fileInfo.mediaInfo !== undefined) {
+            return fileInfo;
+        }
+
+        try {
+            const mediaInfo = await this.flights.run(fileId, () => this.read(fileId, fileInfo));
+            const described = { ...fileInfo, mediaInfo };
+            driveService.setCachedFileInfo(fileId, described);
+            return described;
+        } catch (error) {
+            console.warn(`Could not read container metadata of ${fileId}: ${error.message}`);
+            return fileInfo;
+        }
+    }
+
+    /**
+     * Locate, read and parse the moov box of a file
+     */
+    async read(fileId, fileInfo) {
+        const size = parseInt(fileInfo.size, 10) || 0;
+        if (!MP4_TYPES.includes(fileInfo.mimeType) || size < 8) {
+            return null;
+        }
+
+        let offset = 0;
+        let stepped = 0;
+
+        while (offset + 8 <= size && stepped < MAX_BOXES) {
+            const window = await this.readBytes(fileId, offset, Math.min(size, offset + WINDOW_BYTES) - 1);
+            const boxes = readBoxes(window);
+            if (boxes.length === 0) {
+                return null;
+            }
+
+            for (const box of boxes) {
+                stepped++;
+                if (box.type === 'moov') {
+                    if (!box.truncated) {
+                        return describeMovie(window.subarray(box.start, box.start + box.size));
+                    }
+                    if (box.size > MAX_MOOV_BYTES || window.readUInt32BE(box.start) === 0) {
+                        return null;
+                    }
+                    return describeMovie(await this.readBytes(fileId, offset + box.start, offset + box.start + box.size - 1));
+                }
+                // A box running to the end of the file leaves no room for moov after it
+                if (box.truncated && window.readUInt32BE(box.start) === 0) {
+                    return null;
+                }
+            }
+
+            // Continue after the last box (the one the window cut off, or the window's end)
+            const last = boxes[boxes.length - 1];
+            offset += last.start + last.size;
+        }
+
+        return null;
+    }
+
+    /**
+     * Bytes [start, end] of a Drive file
+     */
+    async readBytes(fileId, start, end) {
+        const stream = await driveService.streamFile(fileId, start, end);
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = new MediaInfoService();
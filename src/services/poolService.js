@@ -0,0 +1,183 @@
+const http = require('http');
+const http2 = require('http2');
+const https = require('https');
+
+/**
+ * Agent that counts its requests and the connections it opens for them
+ */
+function countingAgent(Base, counters) {
+    return class extends Base {
+        addRequest(...args) {
+            counters.requests++;
+            return super.addRequest(...args);
+        }
+
+        createConnection(...args) {
+            counters.connections++;
+            return super.createConnection(...args);
+        }
+    };
+}
+
+/**
+ * Shared upstream connections for Drive and proxied origins
+ *
+ * One keep-alive http and one https agent serve every upstream request, so
+ * consecutive segment and range requests to a host reuse open sockets instead
+ * of paying a new TCP/TLS handshake each time. With UPSTREAM_HTTP2 enabled,
+ * https origins that negotiate h2 get one multiplexed session each; origins
+ * that refuse it are remembered and stay on the https agent.
+ */
+class PoolService {
+    constructor() {
+        this.maxSockets = parseInt(process.env.UPSTREAM_MAX_SOCKETS, 10) || 32;
+        this.idleTimeout = (parseInt(process.env.UPSTREAM_IDLE_TIMEOUT, 10) || 15) * 1000;
+        this.http2 = process.env.UPSTREAM_HTTP2 === 'true';
+
+        this.counters = {
+            http: { requests: 0, connections: 0 },
+            https: { requests: 0, connections: 0 },
+            http2: { requests: 0, connections: 0, fallbacks: 0 }
+        };
+
+        const options = {
+            keepAlive: true,
+            maxSockets: this.maxSockets,
+            maxFreeSockets: this.maxSockets,
+            timeout: this.idleTimeout, // idle pooled sockets are closed after this
+            scheduling: 'lifo'         // keep reusing the warmest sockets so the rest can expire
+        };
+        this.httpAgent = new (countingAgent(http.Agent, this.counters.http))(options);
+        this.httpsAgent = new (countingAgent(https.Agent, this.counters.https))(options);
+
+        // HTTP/2 sessions (origin -> Promise<ClientHttp2Session>) and origins without h2
+        this.sessions = new Map();
+        this.http1Origins = new Set();
+    }
+
+    /**
+     * Agent for an http(s) URL
+     */
+    agentFor(url) {
+        return url.startsWith('https:') ? this.httpsAgent : this.httpAgent;
+    }
+
+    /**
+     * Whether a URL should be requested over HTTP/2
+     */
+    useHttp2(url) {
+        return this.http2 && url.startsWith('https:') && !this.http1Origins.has(new URL(url).origin);
+    }
+
+    /**
+     * Connected HTTP/2 session for a request to an https URL, or null when the
+     * origin does not negotiate h2 (it is then remembered as http/1.1-only)
+     * lookup is passed to the connection, like the agents' per-request lookup
+     */
+    async sessionFor(url, { lookup } = {}) {
+        const { origin } = new URL(url);
+        if (!this.sessions.has(origin)) {
+            this.sessions.set(origin, this.connect(origin, lookup));
+        }
+
+        let session;
+        try {
+            session = await this.sessions.get(origin);
+        } catch (error) {
+            this.sessions.delete(origin);
+            if (error.code !== 'ERR_SSL_TLSV1_ALERT_NO_APPLICATION_PROTOCOL') {
+                throw error;
+            }
+            session = null;
+        }
+
+        if (!session) {
+            this.sessions.delete(origin);
+            if (!this.http1Origins.has(origin)) {
+                this.http1Origins.add(origin);
+                this.counters.http2.fallbacks++;
+            }
+            return null;
+        }
+
+        this.counters.http2.requests++;
+        return session;
+    }
+
+    /**
+     * Open an HTTP/2 session, resolving to null if the server picks another protocol
+     */
+    connect(origin, lookup) {
+        const pending = new Promise((resolve, reject) => {
+            const session = http2.connect(origin, { lookup });
+            this.counters.http2.connections++;
+
+            const forget = () => {
+                if (this.sessions.get(origin) === pending) {
+                    this.sessions.delete(origin);
+                }
+            };
+
+            session.once('connect', () => {
+                session.removeListener('error', reject);
+                session.on('error', forget);
+                if (session.alpnProtocol !== 'h2') {
+                    session.destroy();
+                    resolve(null);
+                    return;
+                }
+                resolve(session);
+            });
+            session.once('error', reject);
+            session.on('goaway', forget);
+            session.on('close', forget);
+
+            // Close sessions with no open streams after the idle timeout
+            session.setTimeout(this.idleTimeout, () => session.close());
+        });
+        return pending;
+    }
+
+    /**
+     * Socket and session counts, per agent and host
+     */
+    stats() {
+        const describe = (agent, counters) => {
+            const count = sockets => Object.values(sockets).reduce((total, list) => total + list.length, 0);
+            // Pool keys are host:port followed by connection options
+            const hosts = {};
+            const add = (pools, field) => {
+                for (const [name, list] of Object.entries(pools)) {
+                    const host = name.replace(/:+$/, '');
+                    hosts[host] = { ...hosts[host], [field]: list.length };
+                }
+            };
+            add(agent.sockets, 'active');
+            add(agent.freeSockets, 'idle');
+            add(agent.requests, 'queued');
+            return {
+                active: count(agent.sockets),
+                idle: count(agent.freeSockets),
+                queued: count(agent.requests),
+                ...counters,
+                reused: Math.max(0, counters.requests - counters.connections),
+                hosts
+            };
+        };
+
+        return {
+            maxSockets: this.maxSockets,
+            idleTimeout: this.idleTimeout,
+            http: describe(this.httpAgent, this.counters.http),
+            https: describe(this.httpsAgent, this.counters.https),
+            http2: {
+                enabled: this.http2,
+                sessions: this.sessions.size,
+                ...this.counters.http2,
+                http1Origins: this.http1Origins.size
+            }
+        };
+    }
+}
+
+module.exports = new PoolService();
@@ -0,0 +1,200 @@
+const { UpstreamError } = require('./upstreamService');
+const proxyCacheService = require('./proxyCacheService');
+const sourcePolicyService = require('./sourcePolicyService');
+const { SourcePolicyError } = sourcePolicyService;
+const { parsePlaylist, isMasterPlaylist, isLivePlaylist, getPlaylistDuration, getVariants } = require('../utils/m3u8');
+const { describeMpd, listRepresentations } = require('../utils/mpd');
+const { getMovieDuration } = require('../utils/mp4');
+const { describeEbml } = require('../utils/ebml');
+
+// Bytes read from media files - enough for the EBML header/Info or a faststart moov of most files
+const SNIFF_BYTES = 256 * 1024;
+
+// Content-Type fallbacks when the magic bytes are not recognised
+const CONTENT_TYPES = [
+    ['mpegurl', 'HLS'],
+    ['dash+xml', 'DASH'],
+    ['video/mp4', 'MP4'],
+    ['video/quicktime', 'MOV'],
+    ['video/webm', 'WebM'],
+    ['matroska', 'MKV'],
+    ['video/mp2t', 'TS']
+];
+
+/**
+ * Identifies what a universal source serves
+ *
+ * The source is fetched like the proxy fetches it (source policy, cache) and
+ * its type is taken from the body's magic bytes - #EXTM3U, an <MPD> root, an
+ * ftyp box, an EBML header or MPEG-TS sync bytes - falling back to Content-Type.
+ * Manifests are read in full for their duration and variants; media files only
+ * as far as SNIFF_BYTES.
+ */
+class ProbeService {
+    /**
+     * Stream type from a Content-Type and the first bytes of a body
+     * Returns 'HLS', 'DASH', 'MP4', 'MOV', 'WebM', 'MKV', 'TS' or 'Universal'
+     */
+    sniff(contentType, head) {
+        const text = head.toString('utf8', 0, Math.min(head.length, 1024)).replace(/^\uFEFF/, '').trimStart();
+
+        if (text.startsWith('#EXTM3U')) {
+            return 'HLS';
+        }
+        if (/^(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:[\w.-]+:)?MPD[\s>]/.test(text)) {
+            return 'DASH';
+        }
+        if (head.length >= 12 && head.toString('latin1', 4, 8) === 'ftyp') {
+            return head.toString('latin1', 8, 12) === 'qt  ' ? 'MOV' : 'MP4';
+        }
+        if (head.length >= 4 && head.readUInt32BE(0) === 0x1A45DFA3) {
+            return describeEbml(head).docType === 'webm' ? 'WebM' : 'MKV';
+        }
+        // Sync byte at the start of consecutive 188-byte packets
+        if (head.length > 188 && head[0] === 0x47 && head[188] === 0x47
+            && (head.length <= 376 || head[376] === 0x47)) {
+            return 'TS';
+        }
+
+        const lowerType = (contentType || '').toLowerCase();
+        const match = CONTENT_TYPES.find(([pattern]) => lowerType.includes(pattern));
+        return match ? match[1] : 'Universal';
+    }
+
+    /**
+     * Probe a source URL
+     * Resolves { url, contentType, size, type, live, duration, variants }: url is the
+     * final URL after redirects, size the full length when the source declares it,
+     * duration in seconds (null when unknown or live), and variants the HLS variant
+     * streams or DASH representations ([] otherwise).
+     * Rejects with SourcePolicyError or UpstreamError like the proxy would
+     */
+    async probe(sourceUrl) {
+        const { url, response, body, complete } = await this.read(sourceUrl);
+        const contentType = response.headers['content-type'] || null;
+        const type = this.sniff(contentType, body);
+
+        const result = {
+            url,
+            contentType,
+            size: this.declaredSize(response),
+            type,
+            live: false,
+            duration: null,
+            variants: []
+        };
+
+        if (type === 'HLS' || type === 'DASH') {
+            if (!complete) {
+                throw new SourcePolicyError('SOURCE_TOO_LARGE', `The manifest exceeds the ${sourcePolicyService.maxManifestBytes}-byte limit`);
+            }
+            Object.assign(result, type === 'HLS'
+                ? await this.describeHls(body.toString('utf8'), url)
+                : this.describeDash(body.toString('utf8')));
+        } else if (type === 'MP4' || type === 'MOV') {
+            result.duration = getMovieDuration(body);
+        } else if (type === 'WebM' || type === 'MKV') {
+            result.duration = describeEbml(body).duration;
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch the start of a source: SNIFF_BYTES, or the whole manifest when the
+     * source is a playlist/MPD (up to the manifest size limit)
+     * Resolves { url, response, body, complete } - the connection is closed either way
+     */
+    async read(sourceUrl) {
+        // Through the proxy cache: a probed playlist is what the player asks for next
+        const { response, url } = await proxyCacheService.fetch(sourceUrl);
+
+        if (response.statusCode >= 400) {
+            response.destroy();
+            throw new UpstreamError(502, 'UPSTREAM_STATUS', `The source answered with HTTP ${response.statusCode}`);
+        }
+
+        const chunks = [];
+        let size = 0;
+        let limit = SNIFF_BYTES;
+        let complete = true;
+
+        for await (const chunk of response) {
+            chunks.push(chunk);
+            size += chunk.length;
+
+            if (chunks.length === 1 && ['HLS', 'DASH'].includes(this.sniff(response.headers['content-type'], chunk))) {
+                limit = sourcePolicyService.maxManifestBytes;
+            }
+            if (size >= limit) {
+                // Leaving the loop destroys the response
+                complete = false;
+                break;
+            }
+        }
+
+        return { url, response, body: Buffer.concat(chunks), complete };
+    }
+
+    /**
+     * Full length of the source from Content-Range or Content-Length, or null
+     */
+    declaredSize({ statusCode, headers }) {
+        if (statusCode === 206) {
+            const total = /\/(\d+)$/.exec(headers['content-range'] || '');
+            return total ? parseInt(total[1], 10) : null;
+        }
+        return parseInt(headers['content-length'], 10) || null;
+    }
+
+    /**
+     * Duration and variants of an HLS playlist
+     * A master playlist's duration is read from its first variant
+     */
+    async describeHls(text, url) {
+        const playlist = parsePlaylist(text);
+
+        if (!isMasterPlaylist(playlist)) {
+            return this.describeMediaPlaylist(playlist);
+        }
+
+        const variants = getVariants(playlist, url);
+        let details = { live: false, duration: null };
+
+        if (variants.length > 0) {
+            try {
+                const { body, complete } = await this.read(variants[0].url);
+                const variant = parsePlaylist(body.toString('utf8'));
+                if (complete && this.sniff(null, body) === 'HLS' && !isMasterPlaylist(variant)) {
+                    details = this.describeMediaPlaylist(variant);
+                }
+            } catch (error) {
+                console.warn(`Probe: could not read variant ${variants[0].url}: ${error.message}`);
+            }
+        }
+
+        return { live: details.live, duration: details.duration, variants };
+    }
+
+    /**
+     * Whether a media playlist is live, and its duration when it is not
+     */
+    describeMediaPlaylist(playlist) {
+        const live = isLivePlaylist(playlist);
+        return { live, duration: live ? null : Number(getPlaylistDuration(playlist).toFixed(3)) };
+    }
+
+    /**
+     * Duration and representations of a DASH manifest
+     */
+    describeDash(xml) {
+        const { dynamic, duration } = describeMpd(xml);
+        return {
+            live: dynamic,
+            duration: dynamic ? null : duration,
+            variants: listRepresentations(xml)
+        };
+    }
+}
+
+module.exports = new ProbeService();
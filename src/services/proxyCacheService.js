@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, pipeline } = require('stream');
+const upstreamService = require('./upstreamService');
+const { parseRange, contentRange } = require('../utils/httpRange');
+const { parsePlaylist, isLivePlaylist, getTargetDuration } = require('../utils/m3u8');
+const { describeMpd } = require('../utils/mpd');
+const { StreamFlights } = require('../utils/singleFlight');
+
+// Upstream response headers kept with a cached body
+const STORED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'cache-control', 'last-modified', 'etag'];
+
+/**
+ * Disk cache in front of universal proxy fetches
+ *
+ * Keyed by source URL and Range header, so every viewer of a proxied stream
+ * shares one origin fetch per segment. Bodies are teed to disk while they are
+ * relayed to the first viewer; a fully cached 200 response also answers later
+ * single-range requests for the same URL. Entries honour upstream Cache-Control,
+ * and live playlists/manifests are only kept for a fraction of their refresh interval.
+ */
+class ProxyCacheService {
+    constructor() {
+        this.cacheDir = process.env.PROXY_CACHE_DIR || path.join(os.tmpdir(), 'streamfreely-proxy');
+        const maxMb = parseInt(process.env.PROXY_CACHE_MAX_MB, 10);
+        this.maxCacheBytes = (Number.isNaN(maxMb) ? 1024 : maxMb) * 1024 * 1024; // 0 disables the cache
+        this.ttl = (parseInt(process.env.PROXY_CACHE_TTL, 10) || 3600) * 1000;
+        this.liveFraction = parseFloat(process.env.PROXY_CACHE_LIVE_FRACTION) || 0.5;
+
+        // A single response may use at most this share of the cache (keeps whole files from flushing segments)
+        this.maxEntryBytes = Math.floor(this.maxCacheBytes / 10);
+
+        // Cached bodies in least-recently-used order (hash -> { size, expires })
+        this.entries = new Map();
+        this.cacheBytes = 0;
+
+        this.counters = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+        // Scan adopting entries left on disk by earlier runs (started on first fetch)
+        this.scanned = null;
+
+        // Concurrent misses for the same URL + range share one origin fetch
+        this.flights = new StreamFlights();
+    }
+
+    get enabled() {
+        return this.maxCacheBytes > 0;
+    }
+
+    /**
+     * Cache key for a URL and Range header
+     */
+    hash(url, range) {
+        return crypto.createHash('sha1').update(`${url}\n${range || ''}`).digest('hex');
+    }
+
+    /**
+     * Body and metadata files for a key
+     */
+    paths(hash) {
+        return {
+            body: path.join(this.cacheDir, `${hash}.bin`),
+            meta: path.join(this.cacheDir, `${hash}.json`)
+        };
+    }
+
+    /**
+     * GET a source URL through the cache
+     * Resolves like upstreamService.fetch - { request, response, url } - plus
+     * cache: 'HIT' or 'MISS' (null when the cache is disabled). Concurrent
+     * requests that miss share one origin fetch; each gets its own copy of the body
+     */
+    async fetch(url, { headers = {} } = {}) {
+        const range = headers.Range || null;
+
+        if (this.enabled) {
+            if (!this.scanned) {
+                this.scanned = this.scanCache();
+            }
+            await this.scanned;
+
+            const hit = await this.lookup(url, range);
+            if (hit) {
+                this.counters.hits++;
+                return { ...hit, cache: 'HIT' };
+            }
+            this.counters.misses++;
+        }
+
+        const { stream, ...upstream } = await this.flights.open(`${url}\n${range || ''}`, async () => {
+            const { response, url: finalUrl } = await upstreamService.fetch(url, { headers });
+            return {
+                stream: this.enabled ? this.store(url, range, { response, url: finalUrl }) : response,
+                url: finalUrl
+            };
+        });
+
+        // Destroying a caller's copy only detaches that caller
+        return { ...upstream, request: stream, response: stream, cache: this.enabled ? 'MISS' : null };
+    }
+
+    /**
+     * Find a cached response: the exact URL + range, or a range of the full body
+     */
+    async lookup(url, range) {
+        const exact = await this.read(this.hash(url, range));
+        if (exact) {
+            return this.open(exact);
+        }
+
+        if (!range) {
+            return null;
+        }
+
+        const full = await this.read(this.hash(url, null));
+        if (!full || full.status !== 200) {
+            return null;
+        }
+
+        const parsed = parseRange(range, full.size, { multipart: false });
+        if (!parsed || parsed.unsatisfiable) {
+            // Let the source answer anything the cached body cannot
+            return null;
+        }
+
+        const [{ start, end }] = parsed.ranges;
+        return this.open(full, {
+            status: 206,
+            start,
+            end,
+            headers: {
+                'content-length': String(end - start + 1),
+                'content-range': contentRange(start, end, full.size),
+                'accept-ranges': 'bytes'
+            }
+        });
+    }
+
+    /**
+     * Add the entries already on disk to the index, oldest first, so they count
+     * toward the size cap; expired entries and bodies whose metadata was never
+     * written (a crash mid-commit) are deleted
+     */
+    async scanCache() {
+        const now = Date.now();
+        const found = [];
+
+        let names;
+        try {
+            names = await fs.promises.readdir(this.cacheDir);
+        } catch {
+            return;
+        }
+
+        const present = new Set(names);
+        for (const name of names) {
+            const hash = name.substring(0, name.indexOf('.'));
+            const { body, meta } = this.paths(hash);
+
+            if (name.endsWith('.bin')) {
+                // Give a commit in progress (another process) time to write the metadata
+                if (!present.has(`${hash}.json`)) {
+                    const stats = await fs.promises.stat(body).catch(() => null);
+                    if (stats && stats.mtimeMs < now - 60 * 1000) {
+                        fs.promises.unlink(body).catch(() => { });
+                    }
+                }
+                continue;
+            }
+            if (!name.endsWith('.json')) continue;
+
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(meta, 'utf8'));
+                const stats = await fs.promises.stat(meta);
+                if (entry.expires <= now) {
+                    this.remove(hash);
+                } else {
+                    found.push({ hash, size: entry.size, expires: entry.expires, mtimeMs: stats.mtimeMs });
+                }
+            } catch {
+                // Removed meanwhile, or unreadable - read() drops it on lookup
+            }
+        }
+
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { hash, size, expires } of found) {
+            if (!this.entries.has(hash)) {
+                this.track(hash, size, expires);
+            }
+        }
+
+        if (found.length > 0) {
+            console.log(`Proxy cache: adopted ${found.length} entries (${Math.round(this.cacheBytes / 1024 / 1024)} MB)`);
+        }
+    }
+
+    /**
+     * Metadata for a live entry, or null
+     * Entries another process wrote are adopted into the index on first use
+     */
+    async read(hash) {
+        const files = this.paths(hash);
+
+        let meta;
+        try {
+            meta = JSON.parse(await fs.promises.readFile(files.meta, 'utf8'));
+        } catch {
+            if (this.entries.has(hash)) {
+                this.remove(hash);
+            }
+            return null;
+        }
+
+        if (meta.expires <= Date.now()) {
+            this.remove(hash);
+            return null;
+        }
+
+        if (this.entries.has(hash)) {
+            // Mark as most recently used
+            const entry = this.entries.get(hash);
+            this.entries.delete(hash);
+            this.entries.set(hash, entry);
+        } else {
+            this.track(hash, meta.size, meta.expires);
+        }
+
+        return { ...meta, file: files.body };
+    }
+
+    /**
+     * Stream a cached body, shaped like an upstream response
+     */
+    open(meta, { status = meta.status, start, end, headers = {} } = {}) {
+        const stream = fs.createReadStream(meta.file, start === undefined ? {} : { start, end });
+        stream.statusCode = status;
+        stream.headers = { ...meta.headers, ...headers };
+
+        return { request: stream, response: stream, url: meta.url };
+    }
+
+    /**
+     * Relay an upstream response while writing it to the cache
+     * Returns the stream to read the body from; the entry is only kept if the
+     * whole body arrives and the response may be cached
+     */
+    store(url, range, { response, url: finalUrl }) {
+        if (!this.isCacheable(response)) {
+            return response;
+        }
+
+        const hash = this.hash(url, range);
+        const files = this.paths(hash);
+        const tempPath = `${files.body}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+        const file = fs.createWriteStream(tempPath);
+        const written = new Promise(resolve => file.on('close', resolve));
+        let size = 0;
+        let abandoned = false;
+
+        const abandon = () => {
+            if (!abandoned) {
+                abandoned = true;
+                file.destroy();
+            }
+        };
+        file.on('error', abandon);
+
+        response.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > this.maxEntryBytes) {
+                abandon();
+            } else if (!abandoned) {
+                file.write(chunk);
+            }
+        });
+
+        const relay = new PassThrough();
+        relay.statusCode = response.statusCode;
+        relay.headers = response.headers;
+
+        pipeline(response, relay, async (error) => {
+            const declared = parseInt(response.headers['content-length'], 10);
+            if (error || !response.readableEnded || (!Number.isNaN(declared) && declared !== size)) {
+                abandon();
+            } else {
+                file.end();
+            }
+            await written;
+
+            if (abandoned) {
+                fs.promises.unlink(tempPath).catch(() => { });
+                return;
+            }
+
+            try {
+                await this.commit(hash, tempPath, { url: finalUrl, response, size });
+            } catch (commitError) {
+                fs.promises.unlink(tempPath).catch(() => { });
+                console.error('Proxy cache write failed:', commitError.message);
+            }
+        });
+
+        return relay;
+    }
+
+    /**
+     * Move a completed body into the cache and record its metadata
+     */
+    async commit(hash, tempPath, { url, response, size }) {
+        const ttl = await this.ttlFor(response, tempPath, size);
+        if (ttl <= 0) {
+            await fs.promises.unlink(tempPath);
+            return;
+        }
+
+        const headers = {};
+        for (const name of STORED_HEADERS) {
+            if (response.headers[name] !== undefined) {
+                headers[name] = response.headers[name];
+            }
+        }
+        headers['content-length'] = String(size);
+
+        const files = this.paths(hash);
+        const expires = Date.now() + ttl;
+
+        // Body first: an entry only exists once its metadata is written
+        await fs.promises.rename(tempPath, files.body);
+        await fs.promises.writeFile(files.meta, JSON.stringify({ url, status: response.statusCode, headers, size, expires }));
+
+        this.counters.stores++;
+        this.track(hash, size, expires);
+    }
+
+    /**
+     * Parse Cache-Control into { directive: value|true }
+     */
+    parseCacheControl(value) {
+        const directives = {};
+        for (const part of (value || '').split(',')) {
+            const [name, argument] = part.trim().toLowerCase().split('=');
+            if (name) {
+                directives[name] = argument === undefined ? true : argument.replace(/"/g, '');
+            }
+        }
+        return directives;
+    }
+
+    /**
+     * Whether an upstream response may be stored at all
+     */
+    isCacheable(response) {
+        if (response.statusCode !== 200 && response.statusCode !== 206) {
+            return false;
+        }
+
+        const directives = this.parseCacheControl(response.headers['cache-control']);
+        if (directives['no-store'] || directives['no-cache'] || directives.private) {
+            return false;
+        }
+
+        const declared = parseInt(response.headers['content-length'], 10);
+        return Number.isNaN(declared) || declared <= this.maxEntryBytes;
+    }
+
+    /**
+     * How long (ms) to keep a response: the configured TTL, shortened by
+     * max-age/s-maxage, and for live playlists/manifests by their refresh interval
+     */
+    async ttlFor(response, bodyPath, size) {
+        let ttl = this.ttl;
+
+        const directives = this.parseCacheControl(response.headers['cache-control']);
+        const maxAge = parseInt(directives['s-maxage'] ?? directives['max-age'], 10);
+        if (!Number.isNaN(maxAge)) {
+            ttl = Math.min(ttl, maxAge * 1000);
+        }
+
+        if (size > 5 * 1024 * 1024) {
+            return ttl;
+        }
+
+        // Live playlists are often labelled text/plain or octet-stream - go by the body
+        const manifest = await this.sniffManifest(bodyPath);
+        if (!manifest) {
+            return ttl;
+        }
+
+        const body = await fs.promises.readFile(bodyPath, 'utf8');
+
+        if (manifest === 'HLS') {
+            const playlist = parsePlaylist(body);
+            if (isLivePlaylist(playlist)) {
+                const targetDuration = getTargetDuration(playlist);
+                return targetDuration ? Math.min(ttl, targetDuration * this.liveFraction * 1000) : 0;
+            }
+        } else {
+            const { dynamic, minimumUpdatePeriod } = describeMpd(body);
+            if (dynamic) {
+                return minimumUpdatePeriod ? Math.min(ttl, minimumUpdatePeriod * this.liveFraction * 1000) : 0;
+            }
+        }
+
+        return ttl;
+    }
+
+    /**
+     * 'HLS' or 'DASH' when a cached body starts like a playlist/MPD, else null
+     * Only the first kilobyte is read, so media segments cost one small read
+     */
+    async sniffManifest(bodyPath) {
+        const handle = await fs.promises.open(bodyPath, 'r');
+        let head;
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+            head = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '').trimStart();
+        } finally {
+            await handle.close();
+        }
+
+        if (head.startsWith('#EXTM3U')) {
+            return 'HLS';
+        }
+        if (/^(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:[\w.-]+:)?MPD[\s>]/.test(head)) {
+            return 'DASH';
+        }
+        return null;
+    }
+
+    /**
+     * Record an entry in the LRU index and evict the oldest ones over the size cap
+     */
+    track(hash, size, expires) {
+        if (this.entries.has(hash)) {
+            this.cacheBytes -= this.entries.get(hash).size;
+            this.entries.delete(hash);
+        }
+        this.entries.set(hash, { size, expires });
+        this.cacheBytes += size;
+
+        for (const oldHash of this.entries.keys()) {
+            if (this.cacheBytes <= this.maxCacheBytes || oldHash === hash) break;
+            this.remove(oldHash);
+            this.counters.evictions++;
+        }
+    }
+
+    /**
+     * Drop an entry from the index and disk
+     */
+    remove(hash) {
+        const entry = this.entries.get(hash);
+        if (entry) {
+            this.entries.delete(hash);
+            this.cacheBytes -= entry.size;
+        }
+
+        const files = this.paths(hash);
+        fs.promises.unlink(files.meta).catch(() => { });
+        fs.promises.unlink(files.body).catch(() => { });
+    }
+
+    /**
+     * Hit/miss counters and current size (per process)
+     */
+    stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            backend: 'disk',
+            size: this.entries.size,
+            bytes: this.cacheBytes,
+            maxBytes: this.maxCacheBytes,
+            ...this.counters,
+            coalesced: this.flights.counters.joined,
+            hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : 0
+        };
+    }
+}
+
+module.exports = new ProxyCacheService();
@@ -0,0 +1,86 @@
+const tokenService = require('./tokenService');
+
+/**
+ * Signed playlist references for the universal proxy
+ *
+ * Instead of a self-contained token per segment, a rewritten HLS playlist is
+ * served below its own universal token - /api/universal/stream/<token>/index.m3u8 -
+ * and refers to each of its URIs as <signature>/<path>. path is the URI relative
+ * to the playlist's URL when it lies below the playlist's directory (so most
+ * lines barely change), otherwise ~ followed by the base64url absolute URL.
+ * The signature is an HMAC of the token and the absolute URL, keyed by the
+ * secret that signed the token.
+ *
+ * Nothing is stored: any instance that holds the signing secrets can resolve a
+ * reference, and the token itself carries the link's expiry, registry id and
+ * viewer constraints.
+ */
+class SessionService {
+    /**
+     * Token for a playlist - deterministic, so every viewer and every refresh of a
+     * live playlist gets the same URL
+     * link: { options, expiresAt, linkId, constraints }
+     */
+    playlistToken(playlistUrl, link) {
+        const { expiresAt, linkId, constraints } = link;
+        return tokenService.generateUniversalToken(playlistUrl, { ...link.options, type: 'HLS' }, { expiresAt, linkId, constraints });
+    }
+
+    /**
+     * Reference (<signature>/<path>) to a URI of the playlist a token names
+     * playlistUrl: the token's source URL; url: the absolute URI
+     */
+    reference(token, playlistUrl, url) {
+        return `${this.sign(token, url)}/${this.relativePath(playlistUrl, url)}`;
+    }
+
+    /**
+     * Absolute URL of a reference below a token, or null when the signature does
+     * not match (the token itself must already have been verified)
+     */
+    resolve(token, playlistUrl, signature, path) {
+        let url;
+        try {
+            url = path.startsWith('~')
+                ? Buffer.from(path.substring(1), 'base64url').toString('utf8')
+                : new URL(path, playlistUrl).href;
+        } catch {
+            return null;
+        }
+
+        const keyId = token.split('.')[1];
+        return tokenService.verifySignature(this.signedData(token, url), keyId, signature) ? url : null;
+    }
+
+    /**
+     * Signature of a URI, with the key that signed the token
+     */
+    sign(token, url) {
+        const keyId = token.split('.')[1];
+        const key = tokenService.keys.find(candidate => candidate.id === keyId) || tokenService.activeKey;
+        return tokenService.hmac(this.signedData(token, url), key.secret);
+    }
+
+    signedData(token, url) {
+        return `ref:${token}:${url}`;
+    }
+
+    /**
+     * URI relative to the playlist's directory, or ~<base64url> when it is elsewhere
+     * (another origin, or above the playlist - `../` would be resolved away by the player)
+     */
+    relativePath(playlistUrl, url) {
+        const base = new URL(playlistUrl);
+        const target = new URL(url);
+        const directory = base.pathname.substring(0, base.pathname.lastIndexOf('/') + 1);
+        const rest = target.pathname.substring(directory.length);
+
+        if (target.origin === base.origin && target.pathname.startsWith(directory)
+            && rest !== '' && !rest.startsWith('~') && !target.username && !target.password) {
+            return rest + target.search;
+        }
+        return `~${Buffer.from(url).toString('base64url')}`;
+    }
+}
+
+module.exports = new SessionService();
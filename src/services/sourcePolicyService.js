@@ -0,0 +1,270 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Addresses the universal proxy must never fetch from: loopback, private,
+ * link-local (cloud metadata), carrier-grade NAT, documentation, multicast and
+ * reserved ranges
+ */
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+/**
+ * A source URL rejected by the policy
+ * code is a stable identifier returned to clients (e.g. SOURCE_PRIVATE_ADDRESS)
+ */
+class SourcePolicyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'SourcePolicyError';
+        this.code = code;
+    }
+}
+
+/**
+ * Decides which upstream URLs the universal proxy may fetch, and how much
+ *
+ * Every hop is checked: the URL itself (scheme, domain allow/deny lists, IP
+ * literals), and - through the lookup hook passed to http(s).get - every address
+ * its hostname resolves to at connect time, so DNS rebinding cannot slip a
+ * private address in after the check
+ */
+class SourcePolicyService {
+    constructor() {
+        this.allowPrivate = process.env.SOURCE_ALLOW_PRIVATE === 'true';
+        this.allowlist = this.parseDomains(process.env.SOURCE_ALLOWLIST);
+        this.denylist = this.parseDomains(process.env.SOURCE_DENYLIST);
+
+        // Per-response limits (null = unlimited)
+        const maxMb = parseFloat(process.env.SOURCE_MAX_MB);
+        this.maxBytes = maxMb > 0 ? Math.floor(maxMb * 1024 * 1024) : null;
+        const maxSeconds = parseInt(process.env.SOURCE_MAX_DURATION, 10);
+        this.maxDurationMs = maxSeconds > 0 ? maxSeconds * 1000 : null;
+
+        // Playlists/manifests are buffered for rewriting, so they are always capped
+        this.maxManifestBytes = 5 * 1024 * 1024;
+
+        this.blockList = new net.BlockList();
+        for (const [address, prefix, family] of BLOCKED_RANGES) {
+            this.blockList.addSubnet(address, prefix, family);
+        }
+
+        this.lookup = this.lookup.bind(this);
+    }
+
+    /**
+     * Comma-separated domains to a lowercase list (empty = no list)
+     */
+    parseDomains(value) {
+        return (value || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase().replace(/^\*\./, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether a hostname is one of the domains or a subdomain of one
+     */
+    matchesDomain(hostname, domains) {
+        return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Whether an address is loopback/private/link-local/reserved
+     * IPv4-mapped and NAT64 IPv6 addresses are judged by the IPv4 address they embed
+     */
+    isBlockedAddress(address) {
+        const lower = address.toLowerCase();
+
+        const dotted = lower.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+        if (dotted) {
+            return this.isBlockedAddress(dotted[1]);
+        }
+
+        // Same, written as hex groups (how URL normalises them: ::ffff:7f00:1)
+        const hex = lower.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (hex) {
+            const high = parseInt(hex[1], 16);
+            const low = parseInt(hex[2], 16);
+            return this.isBlockedAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+        }
+
+        const version = net.isIP(lower);
+        if (!version) {
+            return true;
+        }
+        return this.blockList.check(lower, version === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    /**
+     * Reject an address unless private sources are explicitly allowed
+     */
+    assertAddress(hostname, address) {
+        if (!this.allowPrivate && this.isBlockedAddress(address)) {
+            throw new SourcePolicyError(
+                'SOURCE_PRIVATE_ADDRESS',
+                `${hostname} resolves to a private or reserved address`
+            );
+        }
+    }
+
+    /**
+     * Check a URL before fetching it (or minting a token for it)
+     * Resolves DNS so bad hosts are refused up front; throws SourcePolicyError
+     */
+    async checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new SourcePolicyError('SOURCE_INVALID_URL', 'The source URL is not valid');
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new SourcePolicyError('SOURCE_PROTOCOL', `Only http and https sources are allowed, not ${parsed.protocol}`);
+        }
+
+        if (parsed.username || parsed.password) {
+            throw new SourcePolicyError('SOURCE_CREDENTIALS', 'Source URLs must not contain credentials');
+        }
+
+        // URL keeps IPv6 literals bracketed
+        const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+        if (this.matchesDomain(hostname, this.denylist)) {
+            throw new SourcePolicyError('SOURCE_DENIED', `${hostname} is blocked on this server`);
+        }
+        if (this.allowlist.length > 0 && !this.matchesDomain(hostname, this.allowlist)) {
+            throw new SourcePolicyError('SOURCE_NOT_ALLOWED', `${hostname} is not an allowed source on this server`);
+        }
+
+        if (net.isIP(hostname)) {
+            this.assertAddress(hostname, hostname);
+            return parsed;
+        }
+
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(hostname, { all: true });
+        } catch {
+            // Not a policy decision - the fetch itself will report the failure
+            return parsed;
+        }
+
+        for (const { address } of addresses) {
+            this.assertAddress(hostname, address);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * dns.lookup replacement for http(s).get that refuses blocked addresses
+     * Checks happen on the addresses actually used for the connection
+     */
+    lookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(error);
+            }
+
+            try {
+                for (const { address } of addresses) {
+                    this.assertAddress(hostname, address);
+                }
+            } catch (policyError) {
+                return callback(policyError);
+            }
+
+            if (options.all) {
+                return callback(null, addresses);
+            }
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    /**
+     * Enforce size and duration limits on an upstream response
+     * Throws SourcePolicyError up front when Content-Length is already too large;
+     * otherwise calls onViolation(error) once if the body or transfer time runs over.
+     * Attach before piping/reading so every chunk is counted
+     */
+    limitResponse(upstream, { manifest = false, onViolation }) {
+        const limit = manifest
+            ? Math.min(this.maxBytes || Infinity, this.maxManifestBytes)
+            : this.maxBytes;
+
+        const tooLarge = () => new SourcePolicyError(
+            'SOURCE_TOO_LARGE',
+            `The source response exceeds the ${limit}-byte limit`
+        );
+
+        const declared = parseInt(upstream.headers['content-length'], 10);
+        if (limit && declared > limit) {
+            throw tooLarge();
+        }
+
+        let violated = false;
+        const violate = (error) => {
+            if (!violated) {
+                violated = true;
+                onViolation(error);
+            }
+        };
+
+        if (limit) {
+            let received = 0;
+            upstream.on('data', (chunk) => {
+                received += chunk.length;
+                if (received > limit) {
+                    violate(tooLarge());
+                }
+            });
+        }
+
+        if (this.maxDurationMs) {
+            const timer = setTimeout(() => {
+                violate(new SourcePolicyError(
+                    'SOURCE_TOO_SLOW',
+                    `The source transfer exceeded the ${this.maxDurationMs / 1000}s limit`
+                ));
+            }, this.maxDurationMs);
+            upstream.on('close', () => clearTimeout(timer));
+        }
+    }
+
+    /**
+     * Response body for a policy violation
+     */
+    describeError(error) {
+        return {
+            error: 'Source not allowed',
+            code: error.code,
+            message: error.message
+        };
+    }
+}
+
+module.exports = new SourcePolicyService();
+module.exports.SourcePolicyError = SourcePolicyError;
@@ -1,13 +1,130 @@
 const crypto = require('crypto');
+const { createCache } = require('../cache');
+const linkService = require('./linkService');
+
+const DEFAULT_SECRET = 'default-secret-change-me';
+
+// Longest link lifetime when TOKEN_MAX_EXPIRY is not set (minutes) - 30 days
+const DEFAULT_MAX_EXPIRY_MINUTES = 30 * 24 * 60;
+
+// Quality ids a link can carry, and their one-char token form
+const QUALITY_CHARS = { 'original': 'o', '1080p': 'h', '720p': 'm', '480p': 's', '360p': 'l' };
+
+// Placeholder values that must never sign tokens in production
+const INSECURE_SECRETS = [DEFAULT_SECRET, 'your_random_secret_key_here'];
 
 class TokenService {
     constructor() {
-        this.secret = process.env.STREAM_SECRET || 'default-secret-change-me';
-        this.tokenExpiry = 24 * 60 * 60 * 1000; // 24 hours
-        this.tokenCache = new Map();
+        this.tokenExpiry = 24 * 60 * 60 * 1000; // 24 hours (default link lifetime)
+        this.tokenCache = createCache('tokens', { ttl: this.tokenExpiry, maxEntries: 10000 });
+
+        // Longest lifetime a link may be issued for, in minutes (null = "never" allowed)
+        this.maxExpiryMinutes = this.parseMaxExpiry(process.env.TOKEN_MAX_EXPIRY);
 
         // Base62 characters for shorter URLs
         this.base62Chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+        // Truncated HMAC length in base64url chars (6 bits each) - 16 chars = 96 bits
+        const sigLength = parseInt(process.env.TOKEN_SIGNATURE_LENGTH, 10) || 16;
+        this.signatureLength = Math.min(Math.max(sigLength, 11), 43);
+
+        this.loadKeys();
+    }
+
+    /**
+     * TOKEN_MAX_EXPIRY: whole minutes (at least 1) or "never"; unset = 30 days
+     * An invalid value refuses to start in production and falls back to the default otherwise
+     */
+    parseMaxExpiry(value) {
+        if (value === undefined || value === '') {
+            return DEFAULT_MAX_EXPIRY_MINUTES;
+        }
+        if (value.trim() === 'never') {
+            return null;
+        }
+
+        const minutes = Number(value);
+        if (Number.isInteger(minutes) && minutes >= 1) {
+            return minutes;
+        }
+
+        const message = `TOKEN_MAX_EXPIRY must be a whole number of minutes (at least 1) or "never", got "${value}"`;
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error(`${message} - refusing to start in production`);
+        }
+        console.warn(`⚠ ${message} - using ${DEFAULT_MAX_EXPIRY_MINUTES} minutes`);
+        return DEFAULT_MAX_EXPIRY_MINUTES;
+    }
+
+    /**
+     * Load signing keys
+     * STREAM_SECRET signs new tokens; STREAM_PREVIOUS_SECRETS (comma-separated) are
+     * still accepted so links signed before a rotation keep working until they expire
+     */
+    loadKeys() {
+        const active = process.env.STREAM_SECRET || DEFAULT_SECRET;
+        const previous = (process.env.STREAM_PREVIOUS_SECRETS || '')
+            .split(',')
+            .map(secret => secret.trim())
+            .filter(Boolean);
+
+        if (INSECURE_SECRETS.includes(active)) {
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('STREAM_SECRET is not set (or is the example value) - refusing to start in production');
+            }
+            console.warn('⚠ Using the default STREAM_SECRET - set a random secret before deploying');
+        }
+
+        this.keys = [active, ...previous].map(secret => ({ id: this.keyId(secret), secret }));
+        this.activeKey = this.keys[0];
+    }
+
+    /**
+     * Short public key id derived from a secret, so rotation needs no extra config
+     */
+    keyId(secret) {
+        const digest = crypto.createHash('sha256').update(`key-id:${secret}`).digest();
+        return this.bytesToBase62(digest).substring(0, 3);
+    }
+
+    /**
+     * Truncated HMAC-SHA256 of data, base64url encoded
+     */
+    hmac(data, secret) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(data)
+            .digest('base64url')
+            .substring(0, this.signatureLength);
+    }
+
+    /**
+     * Sign data with the active key, returning { keyId, signature }
+     */
+    signWithActiveKey(data) {
+        return { keyId: this.activeKey.id, signature: this.hmac(data, this.activeKey.secret) };
+    }
+
+    /**
+     * Constant-time check of a signature against every key with the given id
+     */
+    verifySignature(data, keyId, signature) {
+        const provided = Buffer.from(signature);
+
+        return this.keys
+            .filter(key => key.id === keyId)
+            .some(key => {
+                const expected = Buffer.from(this.hmac(data, key.secret));
+                return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+            });
+    }
+
+    /**
+     * Whether a key id still names a loaded key - cached decodes of tokens signed
+     * with a secret that has since been dropped must not be honoured
+     */
+    hasKey(keyId) {
+        return this.keys.some(key => key.id === keyId);
     }
 
     /**
@@ -35,12 +152,18 @@ class TokenService {
         return num.toString(16).padStart(2, '0');
     }
 
+    /**
+     * Whether a quality id can be carried by a token
+     */
+    isValidQuality(quality) {
+        return Object.hasOwn(QUALITY_CHARS, quality);
+    }
+
     /**
      * Compress quality string to single char
      */
     compressQuality(quality) {
-        const map = { 'original': 'o', '1080p': 'h', '720p': 'm', '480p': 's', '360p': 'l' };
-        return map[quality] || 'o';
+        return QUALITY_CHARS[quality] || 'o';
     }
 
     /**
@@ -75,87 +198,179 @@ class TokenService {
         return result;
     }
 
+    /**
+     * Resolve a requested lifetime into an absolute expiry
+     * expiresIn: minutes, "never", or undefined for the default 24 hours
+     * Returns { expiresAt } (ms timestamp, null = never) or { error }
+     */
+    resolveExpiry(expiresIn) {
+        const defaultMinutes = this.tokenExpiry / 60000;
+        const maxLabel = this.maxExpiryMinutes === null ? 'never' : `${this.maxExpiryMinutes} minutes`;
+
+        if (expiresIn === undefined || expiresIn === null || expiresIn === '') {
+            const minutes = this.maxExpiryMinutes === null
+                ? defaultMinutes
+                : Math.min(defaultMinutes, this.maxExpiryMinutes);
+            return { expiresAt: Date.now() + minutes * 60000 };
+        }
+
+        if (expiresIn === 'never') {
+            if (this.maxExpiryMinutes !== null) {
+                return { error: `Non-expiring links are disabled on this server (maximum: ${maxLabel})` };
+            }
+            return { expiresAt: null };
+        }
+
+        const minutes = Number(expiresIn);
+
+        if (!Number.isInteger(minutes) || minutes < 1) {
+            return { error: 'expiresIn must be a whole number of minutes (at least 1) or "never"' };
+        }
+        if (this.maxExpiryMinutes !== null && minutes > this.maxExpiryMinutes) {
+            return { error: `expiresIn exceeds the server maximum of ${maxLabel}` };
+        }
+
+        return { expiresAt: Date.now() + minutes * 60000 };
+    }
+
+    /**
+     * Expiry timestamp to minutes since epoch (0 = never)
+     */
+    encodeExpiry(expiresAt) {
+        return expiresAt === null ? 0 : Math.ceil(expiresAt / 60000);
+    }
+
+    /**
+     * Minutes since epoch to expiry timestamp (null = never)
+     */
+    decodeExpiry(expiryMinutes) {
+        return expiryMinutes === 0 ? null : expiryMinutes * 60000;
+    }
+
+    /**
+     * Whether an expiry timestamp has passed
+     */
+    isExpired(expiresAt) {
+        return expiresAt !== null && Date.now() > expiresAt;
+    }
+
+    /**
+     * Cache TTL for a token - never outlives the token itself
+     */
+    cacheTtl(expiresAt) {
+        return expiresAt === null
+            ? this.tokenExpiry
+            : Math.max(0, Math.min(this.tokenExpiry, expiresAt - Date.now()));
+    }
+
     /**
      * Generate a SHORT but self-contained token
-     * Format: {fileId62}.{quality}{expHours62}.{sig62}
+     * Format: {fileId}.{quality}{expMinutes62}[.{linkId}[.{constraints}]].{keyId}.{hmac}
      * 
-     * Google Drive IDs are ~33 chars base64, we convert to base62 for ~5% savings
-     * Plus we use dots as separators (shorter than underscores in URLs)
+     * Expiry is in minutes since the Unix epoch, 0 for links that never expire.
+     * linkId names the link registry entry used for revocation (omitted for
+     * unregistered tokens); constraints are the viewer constraints as base64url
+     * JSON (see accessService). The signature is a truncated HMAC-SHA256 over
+     * everything before it, keyed by the secret that keyId names. Dots are used
+     * as separators (URL-safe, and not part of the base64url alphabet)
      */
-    generateToken(fileId, quality = 'original') {
-        const now = Date.now();
-
-        // Calculate expiry in hours from Unix epoch (fits in smaller number)
-        const expiryHours = Math.floor((now + this.tokenExpiry) / 3600000);
-        const expiryBase62 = this.numToBase62(expiryHours);
+    generateToken(fileId, quality = 'original', {
+        expiresAt = Date.now() + this.tokenExpiry,
+        linkId = null,
+        constraints = null
+    } = {}) {
+        const expiryBase62 = this.numToBase62(this.encodeExpiry(expiresAt));
 
         // Quality as single char
         const qualityChar = this.compressQuality(quality);
 
-        // Create signature (shorter - 6 chars is enough for basic validation)
-        const sigData = `${fileId}:${quality}:${expiryHours}:${this.secret}`;
-        const signature = crypto.createHash('sha256').update(sigData).digest('hex').substring(0, 6);
-
-        // Token format: fileId.qExpiry.sig
         // fileId is already URL-safe, just use it directly
-        const token = `${fileId}.${qualityChar}${expiryBase62}.${signature}`;
+        const fields = [fileId, `${qualityChar}${expiryBase62}`];
+        if (linkId || constraints) {
+            fields.push(linkId || '');
+        }
+        if (constraints) {
+            fields.push(Buffer.from(JSON.stringify(constraints)).toString('base64url'));
+        }
+
+        const body = fields.join('.');
+        const { keyId, signature } = this.signWithActiveKey(`${body}.${this.activeKey.id}`);
+
+        const token = `${body}.${keyId}.${signature}`;
 
         // Cache for faster lookups
-        this.tokenCache.set(token, { fileId, quality, timestamp: now });
+        this.tokenCache.set(token, { fileId, quality, expiresAt, linkId, constraints, keyId }, this.cacheTtl(expiresAt));
 
         return token;
     }
 
     /**
      * Decode and validate token
+     * Returns { fileId, quality, expiresAt, linkId, constraints } or null
      */
     decodeToken(token) {
         try {
-            // Check cache first
-            if (this.tokenCache.has(token)) {
-                const cached = this.tokenCache.get(token);
-                if (Date.now() - cached.timestamp < this.tokenExpiry) {
-                    return { fileId: cached.fileId, quality: cached.quality };
+            // Check cache first - revocation and key rotation can happen at any time,
+            // so always re-check them (entries without a key id are verified again)
+            const cached = this.tokenCache.get(token);
+            if (cached && this.hasKey(cached.keyId)) {
+                if (linkService.isRevoked(cached.linkId)) {
+                    console.warn('Token revoked');
+                    return null;
                 }
-                this.tokenCache.delete(token);
+                return {
+                    fileId: cached.fileId,
+                    quality: cached.quality,
+                    expiresAt: cached.expiresAt,
+                    linkId: cached.linkId || null,
+                    constraints: cached.constraints || null
+                };
             }
 
-            // Parse token: fileId.qExpiry.sig
+            // Parse token: fileId.qExpiry[.linkId[.constraints]].keyId.sig
             const parts = token.split('.');
-            if (parts.length !== 3) {
+            if (parts.length < 4 || parts.length > 6) {
                 console.warn('Invalid token format');
                 return null;
             }
 
-            const [fileId, qExpiry, providedSig] = parts;
+            const providedSig = parts.pop();
+            const keyId = parts.pop();
+            const [fileId, qExpiry, linkField = '', constraintsField = ''] = parts;
+
+            // Verify signature before trusting any field
+            if (!this.verifySignature(`${parts.join('.')}.${keyId}`, keyId, providedSig)) {
+                console.warn('Invalid token signature');
+                return null;
+            }
 
             // Extract quality (first char) and expiry (rest)
             const qualityChar = qExpiry[0];
             const expiryBase62 = qExpiry.substring(1);
 
             const quality = this.decompressQuality(qualityChar);
-            const expiryHours = this.base62ToNum(expiryBase62);
+            const expiresAt = this.decodeExpiry(this.base62ToNum(expiryBase62));
 
             // Check expiry
-            const currentHours = Math.floor(Date.now() / 3600000);
-            if (currentHours > expiryHours) {
+            if (this.isExpired(expiresAt)) {
                 console.warn('Token expired');
                 return null;
             }
 
-            // Verify signature
-            const sigData = `${fileId}:${quality}:${expiryHours}:${this.secret}`;
-            const expectedSig = crypto.createHash('sha256').update(sigData).digest('hex').substring(0, 6);
-
-            if (providedSig !== expectedSig) {
-                console.warn('Invalid token signature');
+            const linkId = linkField || null;
+            if (linkService.isRevoked(linkId)) {
+                console.warn('Token revoked');
                 return null;
             }
 
+            const constraints = constraintsField
+                ? JSON.parse(Buffer.from(constraintsField, 'base64url').toString('utf8'))
+                : null;
+
             // Cache for future lookups
-            this.tokenCache.set(token, { fileId, quality, timestamp: Date.now() });
+            this.tokenCache.set(token, { fileId, quality, expiresAt, linkId, constraints, keyId }, this.cacheTtl(expiresAt));
 
-            return { fileId, quality };
+            return { fileId, quality, expiresAt, linkId, constraints };
 
         } catch (error) {
             console.error('Error decoding token:', error.message);
@@ -163,27 +378,11 @@ class TokenService {
         }
     }
 
-    /**
-     * Create HMAC signature (for backwards compatibility)
-     */
-    sign(data) {
-        return crypto
-            .createHmac('sha256', this.secret)
-            .update(data)
-            .digest('hex')
-            .substring(0, 16);
-    }
-
     /**
      * Remove expired tokens from cache
      */
     cleanExpiredTokens() {
-        const now = Date.now();
-        for (const [token, data] of this.tokenCache.entries()) {
-            if (now - data.timestamp > this.tokenExpiry) {
-                this.tokenCache.delete(token);
-            }
-        }
+        this.tokenCache.prune();
     }
 
     // ============================================
@@ -193,31 +392,39 @@ class TokenService {
     /**
      * Generate a token for universal streams
      * Encodes the source URL and options into a secure token
+     * Segment tokens pass their playlist's linkId and constraints so revoking or
+     * restricting the link covers them too
      */
-    generateUniversalToken(sourceUrl, options = {}) {
-        const now = Date.now();
-        const expiryHours = Math.floor((now + this.tokenExpiry) / 3600000);
-
+    generateUniversalToken(sourceUrl, options = {}, {
+        expiresAt = Date.now() + this.tokenExpiry,
+        linkId = null,
+        constraints = null
+    } = {}) {
         // Create payload
         const payload = {
-            u: sourceUrl,  // URL
-            o: options,    // Options
-            e: expiryHours // Expiry
+            u: sourceUrl,                    // URL
+            o: options,                      // Options
+            e: this.encodeExpiry(expiresAt)  // Expiry (minutes since epoch, 0 = never)
         };
+        if (linkId) {
+            payload.l = linkId;              // Link registry id
+        }
+        if (constraints) {
+            payload.c = constraints;         // Viewer constraints
+        }
 
         // Encode payload to base64url
         const payloadStr = JSON.stringify(payload);
         const payloadB64 = Buffer.from(payloadStr).toString('base64url');
 
-        // Create signature
-        const sigData = `${payloadB64}:${this.secret}`;
-        const signature = crypto.createHash('sha256').update(sigData).digest('hex').substring(0, 8);
+        // Sign payload + key id with the active key
+        const { keyId, signature } = this.signWithActiveKey(`${payloadB64}.${this.activeKey.id}`);
 
-        // Token format: payload.signature
-        const token = `${payloadB64}.${signature}`;
+        // Token format: payload.keyId.signature
+        const token = `${payloadB64}.${keyId}.${signature}`;
 
         // Cache for faster lookups
-        this.tokenCache.set(token, { sourceUrl, options, timestamp: now });
+        this.tokenCache.set(token, { sourceUrl, options, expiresAt, linkId, constraints, keyId }, this.cacheTtl(expiresAt));
 
         return token;
     }
@@ -227,30 +434,34 @@ class TokenService {
      */
     decodeUniversalToken(token) {
         try {
-            // Check cache first
-            if (this.tokenCache.has(token)) {
-                const cached = this.tokenCache.get(token);
-                if (Date.now() - cached.timestamp < this.tokenExpiry) {
-                    return { sourceUrl: cached.sourceUrl, options: cached.options };
+            // Check cache first - revocation and key rotation can happen at any time,
+            // so always re-check them (entries without a key id are verified again)
+            const cached = this.tokenCache.get(token);
+            if (cached && this.hasKey(cached.keyId)) {
+                if (linkService.isRevoked(cached.linkId)) {
+                    console.warn('Universal token revoked');
+                    return null;
                 }
-                this.tokenCache.delete(token);
+                return {
+                    sourceUrl: cached.sourceUrl,
+                    options: cached.options || {},
+                    expiresAt: cached.expiresAt,
+                    linkId: cached.linkId || null,
+                    constraints: cached.constraints || null
+                };
             }
 
-            // Parse token: payload.signature
-            const dotIndex = token.lastIndexOf('.');
-            if (dotIndex === -1) {
+            // Parse token: payload.keyId.signature
+            const parts = token.split('.');
+            if (parts.length !== 3) {
                 console.warn('Invalid universal token format');
                 return null;
             }
 
-            const payloadB64 = token.substring(0, dotIndex);
-            const providedSig = token.substring(dotIndex + 1);
+            const [payloadB64, keyId, providedSig] = parts;
 
             // Verify signature
-            const sigData = `${payloadB64}:${this.secret}`;
-            const expectedSig = crypto.createHash('sha256').update(sigData).digest('hex').substring(0, 8);
-
-            if (providedSig !== expectedSig) {
+            if (!this.verifySignature(`${payloadB64}.${keyId}`, keyId, providedSig)) {
                 console.warn('Invalid universal token signature');
                 return null;
             }
@@ -260,16 +471,30 @@ class TokenService {
             const payload = JSON.parse(payloadStr);
 
             // Check expiry
-            const currentHours = Math.floor(Date.now() / 3600000);
-            if (currentHours > payload.e) {
+            const expiresAt = this.decodeExpiry(payload.e);
+            if (this.isExpired(expiresAt)) {
                 console.warn('Universal token expired');
                 return null;
             }
 
-            const result = { sourceUrl: payload.u, options: payload.o || {} };
+            const linkId = payload.l || null;
+            if (linkService.isRevoked(linkId)) {
+                console.warn('Universal token revoked');
+                return null;
+            }
+
+            const constraints = payload.c || null;
+            const result = { sourceUrl: payload.u, options: payload.o || {}, expiresAt, linkId, constraints };
 
             // Cache for future lookups
-            this.tokenCache.set(token, { sourceUrl: payload.u, options: payload.o, timestamp: Date.now() });
+            this.tokenCache.set(token, {
+                sourceUrl: payload.u,
+                options: payload.o,
+                expiresAt,
+                linkId,
+                constraints,
+                keyId
+            }, this.cacheTtl(expiresAt));
 
             return result;
 
@@ -0,0 +1,304 @@
+const os = require('os');
+const { spawn } = require('child_process');
+
+/**
+ * An ffmpeg process was not started because TRANSCODE_MAX_PROCESSES are already running
+ */
+class TranscodeBusyError extends Error {
+    constructor(limit) {
+        super(`All ${limit} ffmpeg processes are busy`);
+        this.name = 'TranscodeBusyError';
+        this.status = 503;
+    }
+}
+
+class TranscodeService {
+    constructor() {
+        this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+
+        // Concurrent ffmpeg processes (live renditions, remuxes and HLS segments);
+        // one per CPU core by default, 0 = no limit
+        this.maxProcesses = parseInt(process.env.TRANSCODE_MAX_PROCESSES, 10);
+        if (Number.isNaN(this.maxProcesses)) {
+            this.maxProcesses = os.cpus().length || 1;
+        }
+        this.running = 0;
+
+        // Result of the ffmpeg availability probe (null = not checked yet)
+        this.available = null;
+
+        // Containers browsers cannot play natively - original-quality streams of
+        // these are remuxed (stream copy, no re-encode) into fragmented MP4.
+        // MOV is left out: browsers play it as is, with byte ranges
+        this.remuxEnabled = process.env.REMUX_ENABLED !== 'false';
+        this.remuxTypes = ['video/x-matroska', 'video/x-msvideo', 'video/avi'];
+
+        // Output renditions - must stay in sync with the presets in
+        // driveService.generateQualityOptions
+        this.profiles = {
+            '1080p': { height: 1080, videoBitrate: 8000000, audioBitrate: 192000 },
+            '720p': { height: 720, videoBitrate: 5000000, audioBitrate: 128000 },
+            '480p': { height: 480, videoBitrate: 2500000, audioBitrate: 128000 },
+            '360p': { height: 360, videoBitrate: 1000000, audioBitrate: 96000 }
+        };
+    }
+
+    /**
+     * Whether the given quality id requires transcoding
+     */
+    needsTranscode(quality) {
+        return Boolean(this.profiles[quality]);
+    }
+
+    /**
+     * Whether original-quality streams of a Drive MIME type are remuxed to MP4
+     * (false once ffmpeg has been found missing - the file is then served as is)
+     */
+    needsRemux(mimeType) {
+        return this.remuxEnabled && this.available !== false && this.remuxTypes.includes(mimeType);
+    }
+
+    /**
+     * Check (once) whether the ffmpeg binary can be executed
+     */
+    async isAvailable() {
+        if (this.available !== null) {
+            return this.available;
+        }
+
+        this.available = await new Promise((resolve) => {
+            const probe = spawn(this.ffmpegPath, ['-version'], { stdio: 'ignore' });
+            probe.on('error', () => resolve(false));
+            probe.on('exit', (code) => resolve(code === 0));
+        });
+
+        if (!this.available) {
+            console.warn(`⚠ ffmpeg not found at "${this.ffmpegPath}" - transcoding and remuxing disabled`);
+            console.warn('  Install ffmpeg or set FFMPEG_PATH in .env');
+        }
+
+        return this.available;
+    }
+
+    /**
+     * ffmpeg input arguments (optional start offset)
+     * source.url must not carry credentials - argv is visible to every local user
+     * (driveService.getMediaSource hands out loopback URLs)
+     */
+    buildInputArgs(source, start = 0, inputOptions = []) {
+        const args = [...inputOptions];
+
+        // Input seeking - ffmpeg uses HTTP range requests to jump to the offset
+        if (start > 0) {
+            args.push('-ss', String(start));
+        }
+
+        args.push('-i', source.url);
+        return args;
+    }
+
+    /**
+     * ffmpeg log text with URLs removed, safe to log or put in an error
+     */
+    redact(text) {
+        return text.replace(/[a-z][a-z0-9+.-]*:\/\/[^\s'"]+/gi, '<source>').trim();
+    }
+
+    /**
+     * ffmpeg H.264/AAC encoding arguments for a rendition profile
+     */
+    buildEncodeArgs(profile, sourceBitrate = 0) {
+        // Never exceed the source bitrate (same rule as generateQualityOptions)
+        const videoBitrate = sourceBitrate > 0
+            ? Math.min(profile.videoBitrate, sourceBitrate)
+            : profile.videoBitrate;
+
+        return [
+            '-map', '0:v:0',
+            '-map', '0:a:0?',
+            // Downscale only, keep aspect ratio and an even width
+            '-vf', `scale=-2:min(${profile.height}\\,ih)`,
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-pix_fmt', 'yuv420p',
+            '-b:v', String(videoBitrate),
+            '-maxrate', String(videoBitrate),
+            '-bufsize', String(videoBitrate * 2),
+            '-c:a', 'aac',
+            '-b:a', String(profile.audioBitrate),
+            '-ac', '2'
+        ];
+    }
+
+    /**
+     * Build ffmpeg arguments for a fragmented MP4 rendition
+     */
+    buildArgs(source, profile, { start = 0, sourceBitrate = 0 } = {}) {
+        return [
+            '-hide_banner', '-loglevel', 'error',
+            ...this.buildInputArgs(source, start),
+            ...this.buildEncodeArgs(profile, sourceBitrate),
+            // Fragmented MP4 so playback can begin before the encode finishes
+            '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+            '-f', 'mp4',
+            'pipe:1'
+        ];
+    }
+
+    /**
+     * Build ffmpeg arguments to rewrap a source as fragmented MP4 without re-encoding
+     */
+    buildRemuxArgs(source, { start = 0 } = {}) {
+        return [
+            '-hide_banner', '-loglevel', 'error',
+            // AVI often lacks timestamps the MP4 muxer needs
+            ...this.buildInputArgs(source, start, ['-fflags', '+genpts']),
+            // First video and audio track only - MKV subtitle/attachment streams do not fit in MP4
+            '-map', '0:v:0',
+            '-map', '0:a:0?',
+            '-c', 'copy',
+            '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+            '-f', 'mp4',
+            'pipe:1'
+        ];
+    }
+
+    /**
+     * Build ffmpeg arguments for a single MPEG-TS segment written to disk
+     */
+    buildSegmentArgs(source, profile, { start, duration, sourceBitrate = 0, output }) {
+        return [
+            '-hide_banner', '-loglevel', 'error',
+            ...this.buildInputArgs(source, start),
+            '-t', String(duration),
+            ...this.buildEncodeArgs(profile, sourceBitrate),
+            // Keep timestamps continuous across independently encoded segments
+            '-output_ts_offset', String(start),
+            '-f', 'mpegts',
+            '-y', output
+        ];
+    }
+
+    /**
+     * Start transcoding a source into the given quality
+     * Returns the ffmpeg process; read the output from process.stdout
+     */
+    transcode(source, quality, options = {}) {
+        const profile = this.profiles[quality];
+
+        if (!profile) {
+            if (source.release) source.release();
+            throw new Error(`Unsupported transcode quality: ${quality}`);
+        }
+
+        return this.spawnPiped(this.buildArgs(source, profile, options), source);
+    }
+
+    /**
+     * Start remuxing a source into fragmented MP4 (stream copy)
+     * Returns the ffmpeg process; read the output from process.stdout
+     */
+    remux(source, options = {}) {
+        return this.spawnPiped(this.buildRemuxArgs(source, options), source);
+    }
+
+    /**
+     * Take a process slot, or throw TranscodeBusyError when none is free
+     * Returns the function that gives the slot back (safe to call more than once)
+     */
+    acquire() {
+        if (this.maxProcesses > 0 && this.running >= this.maxProcesses) {
+            throw new TranscodeBusyError(this.maxProcesses);
+        }
+
+        this.running++;
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.running--;
+            }
+        };
+    }
+
+    /**
+     * Take a process slot for reading a source; the source is released with the
+     * slot (or right away when TranscodeBusyError is thrown)
+     */
+    acquireFor(source) {
+        let release;
+        try {
+            release = this.acquire();
+        } catch (error) {
+            if (source.release) source.release();
+            throw error;
+        }
+
+        return () => {
+            release();
+            if (source.release) source.release();
+        };
+    }
+
+    /**
+     * Run ffmpeg with its output on stdout, logging failures
+     * Throws TranscodeBusyError when the process cap is reached
+     */
+    spawnPiped(args, source) {
+        const release = this.acquireFor(source);
+        const ffmpeg = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        ffmpeg.on('close', release);
+        ffmpeg.on('error', release);
+
+        let stderr = '';
+        ffmpeg.stderr.setEncoding('utf8');
+        ffmpeg.stderr.on('data', (chunk) => {
+            // Keep only the tail of the log for error reporting
+            stderr = (stderr + chunk).slice(-2000);
+        });
+
+        ffmpeg.on('exit', (code, signal) => {
+            if (code !== 0 && signal !== 'SIGKILL') {
+                console.error(`ffmpeg exited with code ${code}:`, this.redact(stderr));
+            }
+        });
+
+        return ffmpeg;
+    }
+
+    /**
+     * Encode one segment of a source to a file
+     * Resolves once ffmpeg has finished writing the output; rejects with
+     * TranscodeBusyError when the process cap is reached
+     */
+    transcodeSegment(source, profile, options) {
+        const args = this.buildSegmentArgs(source, profile, options);
+
+        return new Promise((resolve, reject) => {
+            const release = this.acquireFor(source);
+            const ffmpeg = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            ffmpeg.on('close', release);
+            ffmpeg.on('error', release);
+
+            let stderr = '';
+            ffmpeg.stderr.setEncoding('utf8');
+            ffmpeg.stderr.on('data', (chunk) => {
+                stderr = (stderr + chunk).slice(-2000);
+            });
+
+            // Not the error itself - its spawnargs hold the source URL
+            ffmpeg.on('error', (error) => reject(new Error(`ffmpeg could not be started: ${error.message}`)));
+            ffmpeg.on('exit', (code) => {
+                if (code === 0) {
+                    resolve(options.output);
+                } else {
+                    reject(new Error(`ffmpeg exited with code ${code}: ${this.redact(stderr)}`));
+                }
+            });
+        });
+    }
+}
+
+// Export singleton instance
+module.exports = new TranscodeService();
+module.exports.TranscodeBusyError = TranscodeBusyError;
@@ -0,0 +1,156 @@
+const http = require('http');
+const https = require('https');
+const poolService = require('./poolService');
+const sourcePolicyService = require('./sourcePolicyService');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * An upstream fetch that failed for a reason worth reporting to the client
+ * status is the HTTP status to answer with (502/504)
+ */
+class UpstreamError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Fetches universal proxy sources
+ * Redirects are followed server-side, each hop checked against the source policy,
+ * so players only ever see the proxy's own response. Requests share poolService's
+ * keep-alive agents (or an HTTP/2 session when enabled)
+ */
+class UpstreamService {
+    constructor() {
+        this.maxRedirects = parseInt(process.env.UPSTREAM_MAX_REDIRECTS, 10);
+        if (Number.isNaN(this.maxRedirects)) {
+            this.maxRedirects = 5;
+        }
+        this.timeout = 30000; // ms without data before giving up
+
+        this.defaultHeaders = {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': '*/*',
+            'Accept-Encoding': 'identity',
+            'Connection': 'keep-alive'
+        };
+    }
+
+    /**
+     * Issue a single GET (no redirect handling) over a pooled connection
+     * Resolves with { request, response } once headers arrive
+     */
+    async get(url, headers) {
+        if (poolService.useHttp2(url)) {
+            const session = await poolService.sessionFor(url, { lookup: sourcePolicyService.lookup });
+            if (session) {
+                return this.getHttp2(session, url, headers);
+            }
+        }
+        return this.getHttp1(url, headers);
+    }
+
+    getHttp1(url, headers) {
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+
+            const request = client.get(url, {
+                agent: poolService.agentFor(url),
+                // Re-checks resolved addresses at connect time (DNS rebinding)
+                lookup: sourcePolicyService.lookup,
+                headers: { ...this.defaultHeaders, ...headers }
+            }, (response) => resolve({ request, response }));
+
+            request.on('error', (error) => {
+                // The origin closed a pooled socket before we reused it - try a fresh one
+                if (request.reusedSocket && error.code === 'ECONNRESET') {
+                    resolve(this.getHttp1(url, headers));
+                } else {
+                    reject(error);
+                }
+            });
+
+            request.setTimeout(this.timeout, () => {
+                request.destroy(new UpstreamError(504, 'UPSTREAM_TIMEOUT', 'The source took too long to respond'));
+            });
+        });
+    }
+
+    /**
+     * GET as a stream on an HTTP/2 session
+     * The stream doubles as the response, with statusCode and headers like http's
+     */
+    getHttp2(session, url, headers) {
+        return new Promise((resolve, reject) => {
+            const { pathname, search } = new URL(url);
+
+            // Connection-specific headers are not allowed in HTTP/2
+            const requestHeaders = { ':path': pathname + search };
+            for (const [name, value] of Object.entries({ ...this.defaultHeaders, ...headers })) {
+                if (name.toLowerCase() !== 'connection') {
+                    requestHeaders[name.toLowerCase()] = value;
+                }
+            }
+
+            const stream = session.request(requestHeaders, { endStream: true });
+
+            stream.on('response', (responseHeaders) => {
+                stream.statusCode = responseHeaders[':status'];
+                stream.headers = {};
+                for (const [name, value] of Object.entries(responseHeaders)) {
+                    if (!name.startsWith(':')) {
+                        stream.headers[name] = value;
+                    }
+                }
+                resolve({ request: stream, response: stream });
+            });
+
+            stream.on('error', reject);
+
+            stream.setTimeout(this.timeout, () => {
+                stream.destroy(new UpstreamError(504, 'UPSTREAM_TIMEOUT', 'The source took too long to respond'));
+            });
+        });
+    }
+
+    /**
+     * GET a source URL, following redirects
+     * Resolves with { request, response, url } where url is the final URL after
+     * redirects (the base for resolving relative playlist/manifest URLs).
+     * Rejects with SourcePolicyError when any hop is refused, UpstreamError otherwise
+     */
+    async fetch(url, { headers = {} } = {}) {
+        let currentUrl = url;
+
+        for (let hop = 0; ; hop++) {
+            await sourcePolicyService.checkUrl(currentUrl);
+
+            const { request, response } = await this.get(currentUrl, headers);
+            const location = response.headers.location;
+
+            if (!REDIRECT_STATUSES.includes(response.statusCode) || !location) {
+                return { request, response, url: currentUrl };
+            }
+
+            // Discard the redirect body and move on
+            response.resume();
+
+            if (hop >= this.maxRedirects) {
+                throw new UpstreamError(502, 'UPSTREAM_REDIRECT_LIMIT', `The source redirected more than ${this.maxRedirects} times`);
+            }
+
+            try {
+                currentUrl = new URL(location, currentUrl).href;
+            } catch {
+                throw new UpstreamError(502, 'UPSTREAM_BAD_REDIRECT', 'The source redirected to an invalid URL');
+            }
+        }
+    }
+}
+
+module.exports = new UpstreamService();
+module.exports.UpstreamError = UpstreamError;
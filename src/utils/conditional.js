@@ -0,0 +1,118 @@
+/**
+ * Validators for a Drive file (RFC 7232)
+ * The md5Checksum gives a strong ETag; without it only a weak one can be built
+ */
+function getValidators(fileInfo) {
+    let etag = null;
+
+    if (fileInfo.md5Checksum) {
+        etag = `"${fileInfo.md5Checksum}"`;
+    } else if (fileInfo.modifiedTime) {
+        etag = `W/"${fileInfo.size}-${Date.parse(fileInfo.modifiedTime)}"`;
+    }
+
+    const lastModified = fileInfo.modifiedTime
+        ? new Date(fileInfo.modifiedTime).toUTCString()
+        : null;
+
+    return { etag, lastModified };
+}
+
+/**
+ * Emit ETag / Last-Modified headers
+ */
+function setValidators(res, { etag, lastModified }) {
+    if (etag) res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified);
+}
+
+/**
+ * Whether an ETag is weak (W/"...")
+ */
+function isWeak(etag) {
+    return etag.startsWith('W/');
+}
+
+/**
+ * Strip the weak prefix for weak comparison
+ */
+function opaqueTag(etag) {
+    return isWeak(etag) ? etag.substring(2) : etag;
+}
+
+/**
+ * Parse a comma-separated list of entity tags
+ */
+function parseEtagList(header) {
+    return header.match(/(?:W\/)?"[^"]*"|\*/g) || [];
+}
+
+/**
+ * Parse an HTTP-date to epoch seconds (null if invalid)
+ */
+function parseHttpDate(value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+/**
+ * Whether a GET/HEAD can be answered with 304 Not Modified
+ * If-None-Match takes precedence over If-Modified-Since
+ */
+function isNotModified(req, { etag, lastModified }) {
+    const ifNoneMatch = req.headers['if-none-match'];
+
+    if (ifNoneMatch) {
+        if (!etag) return false;
+        return parseEtagList(ifNoneMatch)
+            .some(tag => tag === '*' || opaqueTag(tag) === opaqueTag(etag));
+    }
+
+    const ifModifiedSince = req.headers['if-modified-since'];
+
+    if (ifModifiedSince && lastModified) {
+        const since = parseHttpDate(ifModifiedSince);
+        return since !== null && parseHttpDate(lastModified) <= since;
+    }
+
+    return false;
+}
+
+/**
+ * Whether the Range header may be honoured given If-Range
+ * A mismatch means the client's partial copy is stale and the full file must be sent
+ */
+function isRangeFresh(req, { etag, lastModified }) {
+    const ifRange = req.headers['if-range'];
+
+    if (!ifRange) {
+        return true;
+    }
+
+    // Entity tag form - requires a strong match
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return Boolean(etag) && !isWeak(etag) && !isWeak(ifRange) && ifRange === etag;
+    }
+
+    // HTTP-date form - must equal Last-Modified exactly
+    const date = parseHttpDate(ifRange);
+    return date !== null && lastModified !== null && date === parseHttpDate(lastModified);
+}
+
+/**
+ * Send a 304 Not Modified response
+ */
+function sendNotModified(res) {
+    // Entity headers describe a body that is not being sent
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Length');
+    return res.status(304).end();
+}
+
+module.exports = {
+    getValidators,
+    setValidators,
+    isNotModified,
+    isRangeFresh,
+    sendNotModified
+};
@@ -0,0 +1,132 @@
+/**
+ * Matroska / WebM (EBML) header reading
+ *
+ * Only the start of a file is needed: the EBML header names the document type,
+ * and the Segment's Info element - written before the first Cluster - holds the duration.
+ */
+
+const IDS = {
+    EBML: 0x1A45DFA3,
+    DocType: 0x4282,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    Cluster: 0x1F43B675
+};
+
+/**
+ * Variable-length integer at offset
+ * Returns { length, value } (value keeps the length marker for element ids and is
+ * null for an unknown size), or null when it does not fit in the buffer
+ */
+function readVint(buffer, offset, { keepMarker = false } = {}) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) {
+        return null;
+    }
+
+    const length = Math.clz32(first) - 23;
+    if (offset + length > buffer.length) {
+        return null;
+    }
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        allOnes = allOnes && buffer[offset + i] === 0xFF;
+    }
+
+    return { length, value: !keepMarker && allOnes ? null : value };
+}
+
+/**
+ * Elements laid out one after another in buffer[start, end)
+ * Returns [{ id, dataStart, size }] - size is null when unknown; an element
+ * running past the buffer ends the list (it is still returned)
+ */
+function readElements(buffer, start, end) {
+    const elements = [];
+    let offset = start;
+
+    while (offset < end) {
+        const id = readVint(buffer, offset, { keepMarker: true });
+        const size = id && readVint(buffer, offset + id.length);
+        if (!size) {
+            break;
+        }
+
+        const dataStart = offset + id.length + size.length;
+        elements.push({ id: id.value, dataStart, size: size.value });
+
+        if (size.value === null || dataStart + size.value > end) {
+            break;
+        }
+        offset = dataStart + size.value;
+    }
+
+    return elements;
+}
+
+function readUint(buffer, { dataStart, size }) {
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+        value = value * 256 + buffer[dataStart + i];
+    }
+    return value;
+}
+
+/**
+ * Document type and duration from the start of a Matroska/WebM file
+ * Returns { docType, duration } (duration in seconds); null for whatever the buffer does not reach
+ */
+function describeEbml(buffer) {
+    const result = { docType: null, duration: null };
+
+    const [header, segment] = readElements(buffer, 0, buffer.length);
+    if (!header || header.id !== IDS.EBML || header.size === null) {
+        return result;
+    }
+
+    const headerEnd = Math.min(buffer.length, header.dataStart + header.size);
+    const docType = readElements(buffer, header.dataStart, headerEnd).find(element => element.id === IDS.DocType);
+    if (docType && docType.dataStart + docType.size <= buffer.length) {
+        result.docType = buffer.toString('latin1', docType.dataStart, docType.dataStart + docType.size).replace(/\0+$/, '');
+    }
+
+    if (!segment || segment.id !== IDS.Segment) {
+        return result;
+    }
+
+    const segmentEnd = segment.size === null ? buffer.length : Math.min(buffer.length, segment.dataStart + segment.size);
+    for (const element of readElements(buffer, segment.dataStart, segmentEnd)) {
+        if (element.id === IDS.Cluster) {
+            break;
+        }
+        if (element.id !== IDS.Info || element.size === null || element.dataStart + element.size > buffer.length) {
+            continue;
+        }
+
+        let timecodeScale = 1000000; // ns per tick
+        let ticks = null;
+        for (const child of readElements(buffer, element.dataStart, element.dataStart + element.size)) {
+            if (child.id === IDS.TimecodeScale) {
+                timecodeScale = readUint(buffer, child);
+            } else if (child.id === IDS.Duration && child.size === 4) {
+                ticks = buffer.readFloatBE(child.dataStart);
+            } else if (child.id === IDS.Duration && child.size === 8) {
+                ticks = buffer.readDoubleBE(child.dataStart);
+            }
+        }
+
+        if (ticks > 0) {
+            result.duration = Number((ticks * timecodeScale / 1e9).toFixed(3));
+        }
+        break;
+    }
+
+    return result;
+}
+
+module.exports = { readVint, describeEbml };
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { trackStream } = require('./streaming');
+
+// Requests asking for more ranges than this are coalesced into one
+const MAX_RANGES = 10;
+
+/**
+ * Parse a Range header against a representation of `size` bytes (RFC 7233)
+ *
+ * Returns one of:
+ *   null                        - no usable Range header, serve the full 200 response
+ *   { unsatisfiable: true }     - no range overlaps the representation, send 416
+ *   { ranges: [{ start, end }] } - satisfiable ranges, sorted and with overlaps merged
+ *
+ * Syntactically invalid headers and unknown units are ignored, as the RFC allows.
+ * With `multipart: false`, multiple ranges are coalesced into a single range.
+ */
+function parseRange(header, size, { multipart = true } = {}) {
+    if (!header || typeof header !== 'string') {
+        return null;
+    }
+
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+    if (!match) {
+        return null;
+    }
+
+    const ranges = [];
+
+    for (const spec of match[1].split(',')) {
+        const trimmed = spec.trim();
+        if (!trimmed) continue;
+
+        const parts = /^(\d*)\s*-\s*(\d*)$/.exec(trimmed);
+        if (!parts || (parts[1] === '' && parts[2] === '')) {
+            return null;
+        }
+
+        let start;
+        let end;
+
+        if (parts[1] === '') {
+            // Suffix range: bytes=-500 is the last 500 bytes
+            const suffixLength = parseInt(parts[2], 10);
+            if (suffixLength === 0) continue;
+            start = Math.max(0, size - suffixLength);
+            end = size - 1;
+        } else {
+            start = parseInt(parts[1], 10);
+            end = parts[2] === '' ? Infinity : parseInt(parts[2], 10);
+
+            if (end < start) {
+                return null;
+            }
+            end = Math.min(end, size - 1);
+        }
+
+        // Starts beyond the end of the representation are unsatisfiable
+        if (start >= size) continue;
+
+        ranges.push({ start, end });
+    }
+
+    if (ranges.length === 0) {
+        return { unsatisfiable: true };
+    }
+
+    const merged = mergeRanges(ranges);
+
+    if (merged.length > 1 && (!multipart || merged.length > MAX_RANGES)) {
+        return { ranges: [{ start: merged[0].start, end: merged[merged.length - 1].end }] };
+    }
+
+    return { ranges: merged };
+}
+
+/**
+ * Sort ranges and merge the ones that overlap or touch
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    const merged = [{ ...sorted[0] }];
+
+    for (const range of sorted.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Content-Range header value for a satisfiable range
+ */
+function contentRange(start, end, size) {
+    return `bytes ${start}-${end}/${size}`;
+}
+
+/**
+ * Send a 416 Range Not Satisfiable response
+ */
+function sendUnsatisfiable(res, size) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).json({
+        error: 'Range not satisfiable',
+        message: `The requested range is outside the ${size}-byte file`
+    });
+}
+
+/**
+ * Lay out a multipart/byteranges body
+ * Returns the boundary, per-part headers and the total Content-Length
+ */
+function buildMultipart(ranges, size, contentType) {
+    const boundary = crypto.randomBytes(12).toString('hex');
+
+    const parts = ranges.map(({ start, end }, index) => ({
+        start,
+        end,
+        header: `${index === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+            `Content-Type: ${contentType}\r\n` +
+            `Content-Range: ${contentRange(start, end, size)}\r\n\r\n`
+    }));
+
+    const trailer = `\r\n--${boundary}--\r\n`;
+
+    const length = parts.reduce(
+        (total, part) => total + Buffer.byteLength(part.header) + (part.end - part.start + 1),
+        Buffer.byteLength(trailer)
+    );
+
+    return {
+        boundary,
+        parts,
+        trailer,
+        length,
+        contentType: `multipart/byteranges; boundary=${boundary}`
+    };
+}
+
+/**
+ * Write a multipart/byteranges body, opening one upstream stream per part
+ * `openStream(start, end)` must resolve to a readable stream of exactly that range.
+ * Stops (destroying the current part's stream) as soon as the viewer disconnects
+ */
+async function pipeMultipart(res, multipart, openStream) {
+    const tracker = trackStream(res);
+
+    for (const part of multipart.parts) {
+        if (tracker.gone()) {
+            return;
+        }
+
+        res.write(part.header);
+
+        const stream = await openStream(part.start, part.end);
+
+        await new Promise((resolve, reject) => {
+            const onClose = () => {
+                stream.destroy();
+                resolve();
+            };
+            if (tracker.gone()) {
+                return onClose();
+            }
+            res.once('close', onClose);
+
+            stream.on('end', () => {
+                res.off('close', onClose);
+                resolve();
+            });
+            stream.on('error', (error) => {
+                res.off('close', onClose);
+                tracker.fail();
+                reject(error);
+            });
+            stream.pipe(res, { end: false });
+        });
+    }
+
+    if (!tracker.gone()) {
+        res.end(multipart.trailer);
+    }
+}
+
+module.exports = {
+    parseRange,
+    contentRange,
+    sendUnsatisfiable,
+    buildMultipart,
+    pipeMultipart
+};
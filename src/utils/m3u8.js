@@ -0,0 +1,244 @@
+/**
+ * HLS playlist parsing and serialization (RFC 8216)
+ *
+ * A playlist is kept as an ordered list of lines so serializing an unmodified
+ * playlist reproduces it. Tags carrying URIs have their attribute lists parsed,
+ * so URIs can be rewritten wherever they appear - not only on bare URI lines.
+ */
+
+/**
+ * Tags whose URI attribute points at another resource, and what it points at
+ */
+const URI_TAGS = {
+    'EXT-X-KEY': 'key',
+    'EXT-X-SESSION-KEY': 'key',
+    'EXT-X-MAP': 'init',
+    'EXT-X-MEDIA': 'playlist',
+    'EXT-X-I-FRAME-STREAM-INF': 'playlist',
+    'EXT-X-RENDITION-REPORT': 'playlist',
+    'EXT-X-SESSION-DATA': 'data',
+    'EXT-X-PART': 'segment',
+    'EXT-X-PRELOAD-HINT': 'segment'
+};
+
+/**
+ * Parse an attribute list (KEY=VALUE,KEY="quoted, value",...)
+ * Returns [{ name, value, quoted }] in source order
+ */
+function parseAttributes(text) {
+    const attributes = [];
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)(?:,|$)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null && match[0] !== '') {
+        const quoted = match[2].startsWith('"');
+        attributes.push({
+            name: match[1],
+            value: quoted ? match[2].slice(1, -1) : match[2],
+            quoted
+        });
+    }
+
+    return attributes;
+}
+
+/**
+ * Serialize an attribute list back to KEY=VALUE form
+ */
+function serializeAttributes(attributes) {
+    return attributes
+        .map(({ name, value, quoted }) => `${name}=${quoted ? `"${value}"` : value}`)
+        .join(',');
+}
+
+/**
+ * Parse playlist text into { lines }
+ *
+ * Line shapes:
+ *   { type: 'tag', name, value, attributes? }  - #EXT... (attributes for URI tags)
+ *   { type: 'uri', uri, kind }                 - kind: 'playlist' after EXT-X-STREAM-INF, else 'segment'
+ *   { type: 'comment', text }                  - any other # line
+ *   { type: 'blank' }
+ */
+function parsePlaylist(text) {
+    const lines = [];
+    let nextUriKind = 'segment';
+
+    for (const raw of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = raw.trim();
+
+        if (!line) {
+            lines.push({ type: 'blank' });
+        } else if (line.startsWith('#EXT')) {
+            const separator = line.indexOf(':');
+            const name = (separator === -1 ? line : line.substring(0, separator)).substring(1);
+            const value = separator === -1 ? null : line.substring(separator + 1);
+            const tag = { type: 'tag', name, value };
+
+            if (URI_TAGS[name] && value !== null) {
+                tag.attributes = parseAttributes(value);
+            }
+            if (name === 'EXT-X-STREAM-INF') {
+                nextUriKind = 'playlist';
+            }
+
+            lines.push(tag);
+        } else if (line.startsWith('#')) {
+            lines.push({ type: 'comment', text: line });
+        } else {
+            lines.push({ type: 'uri', uri: line, kind: nextUriKind });
+            nextUriKind = 'segment';
+        }
+    }
+
+    // Drop the trailing blank produced by a final newline
+    if (lines.length > 0 && lines[lines.length - 1].type === 'blank') {
+        lines.pop();
+    }
+
+    return { lines };
+}
+
+/**
+ * Serialize a parsed playlist back to text
+ */
+function serializePlaylist({ lines }) {
+    return lines.map((line) => {
+        switch (line.type) {
+            case 'tag':
+                if (line.attributes) {
+                    return `#${line.name}:${serializeAttributes(line.attributes)}`;
+                }
+                return line.value === null ? `#${line.name}` : `#${line.name}:${line.value}`;
+            case 'uri':
+                return line.uri;
+            case 'comment':
+                return line.text;
+            default:
+                return '';
+        }
+    }).join('\n') + '\n';
+}
+
+/**
+ * Whether the playlist is a master (multivariant) playlist
+ */
+function isMasterPlaylist({ lines }) {
+    return lines.some(line => line.type === 'tag'
+        && (line.name === 'EXT-X-STREAM-INF' || line.name === 'EXT-X-I-FRAME-STREAM-INF'));
+}
+
+/**
+ * Whether a media playlist is live - it can still gain segments
+ * (no EXT-X-ENDLIST, and not declared VOD)
+ */
+function isLivePlaylist({ lines }) {
+    return !isMasterPlaylist({ lines })
+        && !lines.some(line => line.type === 'tag'
+            && (line.name === 'EXT-X-ENDLIST' || (line.name === 'EXT-X-PLAYLIST-TYPE' && line.value === 'VOD')));
+}
+
+/**
+ * EXT-X-TARGETDURATION in seconds, or null when absent
+ */
+function getTargetDuration({ lines }) {
+    const tag = lines.find(line => line.type === 'tag' && line.name === 'EXT-X-TARGETDURATION');
+    const seconds = tag ? parseFloat(tag.value) : NaN;
+    return Number.isNaN(seconds) ? null : seconds;
+}
+
+/**
+ * Total EXTINF duration of a media playlist in seconds
+ */
+function getPlaylistDuration({ lines }) {
+    return lines.reduce((total, line) => (line.type === 'tag' && line.name === 'EXTINF'
+        ? total + (parseFloat(line.value) || 0)
+        : total), 0);
+}
+
+/**
+ * Variant streams of a master playlist, in order
+ * Returns [{ url, bandwidth, averageBandwidth, width, height, codecs, frameRate }]
+ * with url resolved against baseUrl; missing attributes are null
+ */
+function getVariants({ lines }, baseUrl) {
+    const variants = [];
+    let attributes = null;
+
+    for (const line of lines) {
+        if (line.type === 'tag' && line.name === 'EXT-X-STREAM-INF') {
+            attributes = Object.fromEntries(parseAttributes(line.value || '').map(({ name, value }) => [name, value]));
+        } else if (line.type === 'uri' && attributes) {
+            const [width, height] = (attributes.RESOLUTION || '').split('x').map(value => parseInt(value, 10));
+            let url;
+            try {
+                url = new URL(line.uri, baseUrl).href;
+            } catch {
+                url = line.uri;
+            }
+
+            variants.push({
+                url,
+                bandwidth: parseInt(attributes.BANDWIDTH, 10) || null,
+                averageBandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'], 10) || null,
+                width: width || null,
+                height: height || null,
+                codecs: attributes.CODECS || null,
+                frameRate: parseFloat(attributes['FRAME-RATE']) || null
+            });
+            attributes = null;
+        }
+    }
+
+    return variants;
+}
+
+/**
+ * Rewrite every URI in a playlist
+ *
+ * Relative URIs are resolved against baseUrl (the playlist's own URL) with URL
+ * semantics, so "../", "/absolute" and query strings work. mapUri(absoluteUrl, kind)
+ * returns the replacement; kind is 'playlist', 'segment', 'key', 'init' or 'data'.
+ * URIs that are not http(s) after resolution (data:, skd:// ...) are left alone.
+ */
+function rewritePlaylist(playlist, baseUrl, mapUri) {
+    const resolve = (uri, kind) => {
+        let absolute;
+        try {
+            absolute = new URL(uri, baseUrl);
+        } catch {
+            return uri;
+        }
+        if (absolute.protocol !== 'http:' && absolute.protocol !== 'https:') {
+            return uri;
+        }
+        return mapUri(absolute.href, kind);
+    };
+
+    for (const line of playlist.lines) {
+        if (line.type === 'uri') {
+            line.uri = resolve(line.uri, line.kind);
+        } else if (line.type === 'tag' && line.attributes) {
+            for (const attribute of line.attributes) {
+                if (attribute.name === 'URI') {
+                    attribute.value = resolve(attribute.value, URI_TAGS[line.name]);
+                }
+            }
+        }
+    }
+
+    return playlist;
+}
+
+module.exports = {
+    parsePlaylist,
+    serializePlaylist,
+    parseAttributes,
+    serializeAttributes,
+    isMasterPlaylist,
+    isLivePlaylist,
+    getTargetDuration,
+    getPlaylistDuration,
+    getVariants,
+    rewritePlaylist
+};
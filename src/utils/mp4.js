@@ -0,0 +1,441 @@
+/**
+ * MP4 / QuickTime (ISO BMFF) box reading
+ *
+ * Works on a buffer holding part of a file: boxes that run past the end of the
+ * buffer are reported as truncated instead of being read.
+ */
+
+/**
+ * Boxes laid out one after another in buffer[start, end)
+ * Returns [{ type, start, headerSize, size, truncated? }]; a truncated box ends the list
+ */
+function readBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (offset + 16 > end) {
+                break;
+            }
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            // Runs to the end of the file, which may be past the buffer
+            boxes.push({ type, start: offset, headerSize, size: end - offset, truncated: true });
+            break;
+        }
+
+        if (size < headerSize) {
+            break;
+        }
+
+        const box = { type, start: offset, headerSize, size };
+        if (offset + size > end) {
+            box.truncated = true;
+            boxes.push(box);
+            break;
+        }
+
+        boxes.push(box);
+        offset += size;
+    }
+
+    return boxes;
+}
+
+/**
+ * Follow a path of box types (e.g. ['moov', 'mvhd']) down from the top level
+ * Returns the innermost box, or null when a box is missing or truncated
+ */
+function findBox(buffer, path, start = 0, end = buffer.length) {
+    let box = null;
+
+    for (const type of path) {
+        const from = box ? box.start + box.headerSize : start;
+        const to = box ? box.start + box.size : end;
+        box = readBoxes(buffer, from, to).find(candidate => candidate.type === type) || null;
+        if (!box || box.truncated) {
+            return null;
+        }
+    }
+
+    return box;
+}
+
+/**
+ * Movie duration in seconds from the moov/mvhd box, or null when the buffer
+ * does not contain it (moov at the end of the file)
+ */
+function getMovieDuration(buffer) {
+    const mvhd = findBox(buffer, ['moov', 'mvhd']);
+    if (!mvhd) {
+        return null;
+    }
+
+    const body = mvhd.start + mvhd.headerSize;
+    const version = buffer[body];
+    const timescale = buffer.readUInt32BE(body + (version === 1 ? 20 : 12));
+    const duration = version === 1
+        ? Number(buffer.readBigUInt64BE(body + 24))
+        : buffer.readUInt32BE(body + 16);
+
+    // All ones means unknown (fragmented files)
+    const unknown = version === 1 ? duration >= Number.MAX_SAFE_INTEGER : duration === 0xFFFFFFFF;
+    return timescale > 0 && duration > 0 && !unknown ? Number((duration / timescale).toFixed(3)) : null;
+}
+
+// Codec names by sample entry type, and profile names by profile number
+const FORMATS = {
+    avc1: 'H.264/AVC', avc3: 'H.264/AVC',
+    hvc1: 'H.265/HEVC', hev1: 'H.265/HEVC',
+    av01: 'AV1', vp09: 'VP9', mp4v: 'MPEG-4 Visual',
+    mp4a: 'AAC', 'ac-3': 'AC-3', 'ec-3': 'E-AC-3', Opus: 'Opus', fLaC: 'FLAC', '.mp3': 'MP3'
+};
+const AVC_PROFILES = { 66: 'Baseline', 77: 'Main', 88: 'Extended', 100: 'High', 110: 'High 10', 122: 'High 4:2:2', 244: 'High 4:4:4' };
+const HEVC_PROFILES = { 1: 'Main', 2: 'Main 10', 3: 'Main Still Picture', 4: 'Range Extensions' };
+const AV1_PROFILES = { 0: 'Main', 1: 'High', 2: 'Professional' };
+const AAC_PROFILES = { 1: 'AAC Main', 2: 'AAC-LC', 3: 'AAC SSR', 4: 'AAC LTP', 5: 'HE-AAC', 29: 'HE-AACv2' };
+const HANDLERS = { vide: 'video', soun: 'audio', text: 'text', sbtl: 'subtitle', subt: 'subtitle', clcp: 'subtitle' };
+
+// Sample entry header sizes before their child boxes (after the 8-byte box header)
+const VISUAL_ENTRY_SIZE = 78;
+const AUDIO_ENTRY_SIZES = { 0: 28, 1: 44, 2: 64 }; // by QuickTime sound description version
+
+const hex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+/**
+ * Children of a box, or of a full box (version + flags) when skip is 4
+ */
+function childBoxes(buffer, box, skip = 0) {
+    return readBoxes(buffer, box.start + box.headerSize + skip, box.start + box.size);
+}
+
+function child(buffer, box, type, skip = 0) {
+    const found = childBoxes(buffer, box, skip).find(candidate => candidate.type === type);
+    return found && !found.truncated ? found : null;
+}
+
+/**
+ * Track id, display size and rotation from tkhd
+ * Rotation is read from the transformation matrix, in degrees clockwise
+ */
+function readTrackHeader(buffer, tkhd) {
+    const body = tkhd.start + tkhd.headerSize;
+    const version = buffer[body];
+    const id = buffer.readUInt32BE(body + (version === 1 ? 20 : 12));
+    const matrix = body + (version === 1 ? 52 : 40);
+
+    // Matrix entries a and b are 16.16 fixed point: [a b; c d] = [cos sin; -sin cos]
+    const a = buffer.readInt32BE(matrix) / 65536;
+    const b = buffer.readInt32BE(matrix + 4) / 65536;
+    const rotation = (Math.round(Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
+
+    return {
+        id,
+        rotation,
+        width: buffer.readUInt32BE(matrix + 36) >>> 16,
+        height: buffer.readUInt32BE(matrix + 40) >>> 16
+    };
+}
+
+/**
+ * Timescale and ISO 639-2 language from mdhd (language is null when undetermined)
+ */
+function readMediaHeader(buffer, mdhd) {
+    const body = mdhd.start + mdhd.headerSize;
+    const version = buffer[body];
+    const timescale = buffer.readUInt32BE(body + (version === 1 ? 20 : 12));
+    const packed = buffer.readUInt16BE(body + (version === 1 ? 32 : 20));
+
+    // Three 5-bit letters offset from 0x60
+    const language = String.fromCharCode(
+        ((packed >> 10) & 0x1F) + 0x60,
+        ((packed >> 5) & 0x1F) + 0x60,
+        (packed & 0x1F) + 0x60
+    );
+
+    return { timescale, language: /^[a-z]{3}$/.test(language) && language !== 'und' ? language : null };
+}
+
+/**
+ * Average frame rate from the sample durations in stts, or null when the
+ * track has no samples in moov (fragmented files)
+ */
+function readFrameRate(buffer, stts, timescale) {
+    const body = stts.start + stts.headerSize;
+    const count = buffer.readUInt32BE(body + 4);
+    let samples = 0;
+    let ticks = 0;
+
+    for (let i = 0; i < count && body + 16 + i * 8 <= stts.start + stts.size; i++) {
+        const sampleCount = buffer.readUInt32BE(body + 8 + i * 8);
+        samples += sampleCount;
+        ticks += sampleCount * buffer.readUInt32BE(body + 12 + i * 8);
+    }
+
+    return samples > 0 && ticks > 0 && timescale > 0 ? Number((samples * timescale / ticks).toFixed(3)) : null;
+}
+
+/**
+ * Codec string (RFC 6381), profile and level from a video decoder configuration box
+ */
+function describeVideoConfig(buffer, format, entry) {
+    const configs = childBoxes(buffer, entry, VISUAL_ENTRY_SIZE);
+    const config = type => {
+        const box = configs.find(candidate => candidate.type === type && !candidate.truncated);
+        return box ? box.start + box.headerSize : null;
+    };
+
+    if (format === 'avc1' || format === 'avc3') {
+        const avcC = config('avcC');
+        if (avcC === null) {
+            return { codec: format };
+        }
+        const profile = buffer[avcC + 1];
+        const level = buffer[avcC + 3];
+        return {
+            codec: `${format}.${hex(profile)}${hex(buffer[avcC + 2])}${hex(level)}`,
+            profile: AVC_PROFILES[profile] || String(profile),
+            level: (level / 10).toFixed(1)
+        };
+    }
+
+    if (format === 'hvc1' || format === 'hev1') {
+        const hvcC = config('hvcC');
+        if (hvcC === null) {
+            return { codec: format };
+        }
+        const profileSpace = buffer[hvcC + 1] >> 6;
+        const tier = (buffer[hvcC + 1] >> 5) & 1;
+        const profile = buffer[hvcC + 1] & 0x1F;
+        const level = buffer[hvcC + 12];
+
+        // Compatibility flags are written bit-reversed; trailing zero constraint bytes are dropped
+        let compatibility = 0;
+        const flags = buffer.readUInt32BE(hvcC + 2);
+        for (let bit = 0; bit < 32; bit++) {
+            compatibility = compatibility * 2 + ((flags >>> bit) & 1);
+        }
+        const constraints = Array.from(buffer.subarray(hvcC + 6, hvcC + 12));
+        while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+            constraints.pop();
+        }
+
+        const parts = [
+            format,
+            `${['', 'A', 'B', 'C'][profileSpace]}${profile}`,
+            compatibility.toString(16).toUpperCase(),
+            `${tier ? 'H' : 'L'}${level}`,
+            ...constraints.map(byte => hex(byte))
+        ];
+        return {
+            codec: parts.join('.'),
+            profile: HEVC_PROFILES[profile] || String(profile),
+            level: (level / 30).toFixed(1)
+        };
+    }
+
+    if (format === 'av01') {
+        const av1C = config('av1C');
+        if (av1C === null) {
+            return { codec: format };
+        }
+        const profile = buffer[av1C + 1] >> 5;
+        const level = buffer[av1C + 1] & 0x1F;
+        const tier = buffer[av1C + 2] >> 7;
+        const highBitDepth = (buffer[av1C + 2] >> 6) & 1;
+        const twelveBit = (buffer[av1C + 2] >> 5) & 1;
+        const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+        return {
+            codec: `av01.${profile}.${String(level).padStart(2, '0')}${tier ? 'H' : 'M'}.${String(bitDepth).padStart(2, '0')}`,
+            profile: AV1_PROFILES[profile] || String(profile),
+            level: `${2 + (level >> 2)}.${level & 3}`
+        };
+    }
+
+    if (format === 'vp09') {
+        const vpcC = config('vpcC');
+        if (vpcC === null) {
+            return { codec: format };
+        }
+        // Full box: version and flags come first
+        const profile = buffer[vpcC + 4];
+        const level = buffer[vpcC + 5];
+        const bitDepth = buffer[vpcC + 6] >> 4;
+        return {
+            codec: `vp09.${String(profile).padStart(2, '0')}.${String(level).padStart(2, '0')}.${String(bitDepth).padStart(2, '0')}`,
+            profile: `Profile ${profile}`,
+            level: (level / 10).toFixed(1)
+        };
+    }
+
+    return { codec: format };
+}
+
+/**
+ * Descriptor (tag, payload start and end) at offset in an esds box - sizes use
+ * up to four 7-bit bytes
+ */
+function readDescriptor(buffer, offset, end) {
+    if (offset >= end) {
+        return null;
+    }
+    const tag = buffer[offset];
+    let size = 0;
+    let position = offset + 1;
+    for (let i = 0; i < 4 && position < end; i++) {
+        const byte = buffer[position++];
+        size = (size << 7) | (byte & 0x7F);
+        if (!(byte & 0x80)) {
+            break;
+        }
+    }
+    return { tag, start: position, end: Math.min(end, position + size) };
+}
+
+/**
+ * Codec string and profile of an mp4a track from its esds elementary stream descriptor
+ */
+function describeEsds(buffer, esds) {
+    const end = esds.start + esds.size;
+    const es = readDescriptor(buffer, esds.start + esds.headerSize + 4, end);
+    if (!es || es.tag !== 0x03) {
+        return { codec: 'mp4a' };
+    }
+
+    // ES_ID, then flags announcing optional fields
+    const flags = buffer[es.start + 2];
+    let offset = es.start + 3;
+    if (flags & 0x80) offset += 2;
+    if (flags & 0x40) offset += 1 + buffer[offset];
+    if (flags & 0x20) offset += 2;
+
+    const decoderConfig = readDescriptor(buffer, offset, es.end);
+    if (!decoderConfig || decoderConfig.tag !== 0x04) {
+        return { codec: 'mp4a' };
+    }
+    const objectType = buffer[decoderConfig.start];
+    if (objectType === 0x69 || objectType === 0x6B) {
+        return { codec: `mp4a.${hex(objectType)}`, name: 'MP3' };
+    }
+
+    // AudioSpecificConfig: 5-bit object type, 31 escapes to 32 + the next 6 bits
+    const specific = readDescriptor(buffer, decoderConfig.start + 13, decoderConfig.end);
+    if (objectType !== 0x40 || !specific || specific.tag !== 0x05 || specific.start >= specific.end) {
+        return { codec: `mp4a.${hex(objectType)}` };
+    }
+    let audioObjectType = buffer[specific.start] >> 3;
+    if (audioObjectType === 31 && specific.start + 1 < specific.end) {
+        audioObjectType = 32 + (((buffer[specific.start] & 0x07) << 3) | (buffer[specific.start + 1] >> 5));
+    }
+
+    return {
+        codec: `mp4a.40.${audioObjectType}`,
+        profile: AAC_PROFILES[audioObjectType] || null
+    };
+}
+
+/**
+ * Channels, sample rate and codec of an audio sample entry
+ */
+function describeAudioEntry(buffer, format, entry) {
+    const body = entry.start + entry.headerSize;
+    const version = buffer.readUInt16BE(body + 8);
+    const details = {
+        codec: format.toLowerCase().replace(/^\./, ''),
+        channels: buffer.readUInt16BE(body + 16),
+        sampleRate: buffer.readUInt32BE(body + 24) >>> 16
+    };
+
+    // QuickTime version 2 moves the real rate and channel count behind the v0 fields
+    if (version === 2 && entry.size >= entry.headerSize + AUDIO_ENTRY_SIZES[2]) {
+        details.sampleRate = Math.round(buffer.readDoubleBE(body + 32));
+        details.channels = buffer.readUInt32BE(body + 40);
+    }
+
+    if (format === 'mp4a') {
+        const esds = child(buffer, entry, 'esds', AUDIO_ENTRY_SIZES[version] || AUDIO_ENTRY_SIZES[0]);
+        // QuickTime files may nest esds in a wave box
+        const wave = esds ? null : child(buffer, entry, 'wave', AUDIO_ENTRY_SIZES[version] || AUDIO_ENTRY_SIZES[0]);
+        const nested = wave && child(buffer, wave, 'esds');
+        Object.assign(details, esds || nested ? describeEsds(buffer, esds || nested) : { codec: 'mp4a' });
+    }
+
+    return details;
+}
+
+/**
+ * One trak box: { id, type, format, name, codec, profile, language, ... }
+ * Video tracks add width, height, level, frameRate and rotation; audio tracks
+ * channels and sampleRate
+ */
+function describeTrack(buffer, trak) {
+    const tkhd = child(buffer, trak, 'tkhd');
+    const mdia = child(buffer, trak, 'mdia');
+    const mdhd = mdia && child(buffer, mdia, 'mdhd');
+    const hdlr = mdia && child(buffer, mdia, 'hdlr');
+    const stbl = mdia && findBox(buffer, ['minf', 'stbl'], mdia.start + mdia.headerSize, mdia.start + mdia.size);
+    const stsd = stbl && child(buffer, stbl, 'stsd');
+    if (!tkhd || !mdhd || !hdlr) {
+        return null;
+    }
+
+    const header = readTrackHeader(buffer, tkhd);
+    const { timescale, language } = readMediaHeader(buffer, mdhd);
+    const handler = buffer.toString('latin1', hdlr.start + hdlr.headerSize + 8, hdlr.start + hdlr.headerSize + 12);
+    const type = HANDLERS[handler] || handler;
+
+    // First sample description (full box, then a 4-byte entry count)
+    const [entry] = stsd ? childBoxes(buffer, stsd, 8) : [];
+    const format = entry && !entry.truncated ? entry.type : null;
+    const track = { id: header.id, type, format, codec: format, profile: null, language };
+
+    if (type === 'video' && format) {
+        const body = entry.start + entry.headerSize;
+        const stts = child(buffer, stbl, 'stts');
+        Object.assign(track, {
+            width: buffer.readUInt16BE(body + 24) || header.width,
+            height: buffer.readUInt16BE(body + 26) || header.height,
+            level: null,
+            frameRate: stts ? readFrameRate(buffer, stts, timescale) : null,
+            rotation: header.rotation
+        }, describeVideoConfig(buffer, format, entry));
+    } else if (type === 'audio' && format) {
+        Object.assign(track, describeAudioEntry(buffer, format, entry));
+    }
+
+    track.name = track.name || FORMATS[track.format] || track.format;
+    return track;
+}
+
+/**
+ * Duration and tracks of a movie from a buffer starting with its moov box
+ * Returns { duration, tracks } (see describeTrack), or null without a complete moov
+ */
+function describeMovie(buffer) {
+    const moov = findBox(buffer, ['moov']);
+    if (!moov) {
+        return null;
+    }
+
+    const tracks = childBoxes(buffer, moov)
+        .filter(box => box.type === 'trak' && !box.truncated)
+        .map(trak => {
+            try {
+                return describeTrack(buffer, trak);
+            } catch (error) {
+                // A box shorter than its fields say (RangeError) - skip the track
+                return null;
+            }
+        })
+        .filter(Boolean);
+
+    return { duration: getMovieDuration(buffer), tracks };
+}
+
+module.exports = { readBoxes, findBox, getMovieDuration, describeMovie };
@@ -0,0 +1,319 @@
+/**
+ * DASH manifest (MPD) URL rewriting and inspection
+ *
+ * The document is tokenized rather than fully parsed so everything that is not
+ * a URL (namespaces, comments, timelines, DRM boxes) is written back byte for byte.
+ * BaseURL elements are tracked through the MPD > Period > AdaptationSet >
+ * Representation hierarchy, so every URL is resolved against the base that
+ * actually applies to it - across multiple periods too.
+ */
+
+/**
+ * Elements whose attributes hold segment URLs, and which attributes
+ */
+const URL_ATTRIBUTES = {
+    SegmentTemplate: { media: 'segment', initialization: 'init', index: 'index', bitstreamSwitching: 'init' },
+    SegmentURL: { media: 'segment', index: 'index' },
+    Initialization: { sourceURL: 'init' },
+    RepresentationIndex: { sourceURL: 'index' },
+    BitstreamSwitching: { sourceURL: 'init' }
+};
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/?([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name] ?? entity;
+    });
+}
+
+function encodeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Element name without its namespace prefix
+ */
+function localName(name) {
+    return name.substring(name.indexOf(':') + 1);
+}
+
+/**
+ * Whether a URL is a plain relative path ("seg-$Number$.m4s", "video/init.mp4")
+ * Those are left alone: they resolve against the rewritten BaseURL on the client.
+ * Absolute URLs, "/rooted" paths and "../" paths would escape the proxy and are rewritten
+ */
+function isPlainRelative(url) {
+    return !/^[a-z][a-z0-9+.-]*:/i.test(url)
+        && !url.startsWith('/')
+        && !url.split(/[?#]/)[0].split('/').includes('..');
+}
+
+/**
+ * Split a (possibly templated) URL into the directory before any $Identifier$
+ * and the rest, e.g. "https://cdn/v/seg-$Number$.m4s" -> "https://cdn/v/" + "seg-$Number$.m4s"
+ * The prefix is a real URL the proxy can sign; the rest is expanded by the player
+ */
+function splitTemplate(url) {
+    const templateStart = url.indexOf('$');
+    const searchEnd = templateStart === -1 ? url.search(/[?#]|$/) : templateStart;
+    const slash = url.lastIndexOf('/', searchEnd);
+
+    return { prefix: url.substring(0, slash + 1), rest: url.substring(slash + 1) };
+}
+
+/**
+ * Resolve a URL against a base, or null when it cannot be resolved
+ */
+function resolveUrl(url, base) {
+    try {
+        return new URL(url, base).href;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * ISO 8601 duration (PT2S, PT1M30.5S, P1DT2H) in seconds, or null
+ */
+function parseDuration(value) {
+    const text = (value || '').trim();
+    const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(text);
+    // "P" and "PT" match the pattern but are not durations
+    if (!match || text === 'P' || text.endsWith('T')) {
+        return null;
+    }
+
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Whether an MPD is live (type="dynamic"), how often it asks to be refetched,
+ * and how long it plays
+ * Returns { dynamic, minimumUpdatePeriod, duration } in seconds (null if unset)
+ */
+function describeMpd(xml) {
+    const root = /<(?:[\w.-]+:)?MPD\b[^>]*>/.exec(xml);
+    const attribute = (name) => {
+        const match = root && new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(root[0]);
+        return match ? decodeXml(match[1] ?? match[2]) : null;
+    };
+
+    return {
+        dynamic: attribute('type') === 'dynamic',
+        minimumUpdatePeriod: parseDuration(attribute('minimumUpdatePeriod')),
+        duration: parseDuration(attribute('mediaPresentationDuration'))
+    };
+}
+
+/**
+ * Attributes of an element token as { name: value }
+ */
+function elementAttributes(token) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted] of token.matchAll(/\s([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[name] = decodeXml(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+}
+
+/**
+ * Frame rate attribute ("25", "30000/1001") in frames per second, or null
+ */
+function parseFrameRate(value) {
+    const [numerator, denominator = 1] = (value || '').split('/').map(Number);
+    const rate = numerator / denominator;
+    return Number.isFinite(rate) && rate > 0 ? Number(rate.toFixed(3)) : null;
+}
+
+/**
+ * Representations in the first period of an MPD, with the attributes they
+ * inherit from their AdaptationSet
+ * Returns [{ id, contentType, mimeType, codecs, bandwidth, width, height, frameRate }]
+ * with contentType 'video', 'audio', 'text' (or null); missing attributes are null
+ */
+function listRepresentations(xml) {
+    const representations = [];
+    let adaptationSet = null;
+
+    for (const [token, rawName] of xml.matchAll(TOKEN_PATTERN)) {
+        if (!rawName) {
+            continue;
+        }
+
+        const name = localName(rawName);
+
+        if (token.startsWith('</')) {
+            if (name === 'AdaptationSet') {
+                adaptationSet = null;
+            } else if (name === 'Period') {
+                break;
+            }
+            continue;
+        }
+
+        if (name === 'AdaptationSet') {
+            adaptationSet = elementAttributes(token);
+        } else if (name === 'Representation') {
+            const attributes = { ...adaptationSet, ...elementAttributes(token) };
+            const mimeType = attributes.mimeType || null;
+
+            representations.push({
+                id: attributes.id || null,
+                contentType: attributes.contentType || (mimeType ? mimeType.split('/')[0] : null),
+                mimeType,
+                codecs: attributes.codecs || null,
+                bandwidth: parseInt(attributes.bandwidth, 10) || null,
+                width: parseInt(attributes.width, 10) || null,
+                height: parseInt(attributes.height, 10) || null,
+                frameRate: parseFrameRate(attributes.frameRate)
+            });
+        }
+    }
+
+    return representations;
+}
+
+/**
+ * Rewrite the URLs in an MPD
+ *
+ * mapUrl(absoluteUrl, kind) returns the replacement; kind is 'base', 'manifest'
+ * (Location), 'segment', 'init' or 'index'. Templated URLs are passed with their
+ * $Number$/$Time$/$RepresentationID$ identifiers intact.
+ * An MPD-level BaseURL is added when missing, so relative URLs stop resolving
+ * against the manifest's proxy URL.
+ */
+function rewriteMpd(xml, manifestUrl, mapUrl) {
+    const output = [];
+    // Open elements: { name, inheritedBase, base, hasBaseUrl }
+    const stack = [{ name: null, inheritedBase: manifestUrl, base: manifestUrl, hasBaseUrl: false }];
+    // Text element being collected (BaseURL / Location)
+    let capture = null;
+    let mpdInsertAt = -1;
+    let mpdHasBaseUrl = false;
+    let lastIndex = 0;
+
+    // Rewritten URL for an attribute value, or null to leave it as written
+    const mapAttribute = (value, kind, base) => {
+        const url = decodeXml(value);
+        if (isPlainRelative(url)) {
+            return null;
+        }
+        const absolute = resolveUrl(url, base);
+        return absolute ? mapUrl(absolute, kind) : null;
+    };
+
+    for (const match of xml.matchAll(TOKEN_PATTERN)) {
+        const text = xml.substring(lastIndex, match.index);
+        lastIndex = match.index + match[0].length;
+
+        if (capture) {
+            capture.text += text;
+        } else {
+            output.push(text);
+        }
+
+        const [token, rawName, , selfClosing] = match;
+
+        // Comments, CDATA, declarations
+        if (!rawName) {
+            if (capture) {
+                capture.text += token;
+            } else {
+                output.push(token);
+            }
+            continue;
+        }
+
+        const name = localName(rawName);
+        const parent = stack[stack.length - 1];
+
+        if (token.startsWith('</')) {
+            if (capture && name === capture.name) {
+                output.push(encodeXml(capture.rewrite(decodeXml(capture.text).trim())));
+                capture = null;
+            }
+            output.push(token);
+            if (stack.length > 1 && stack[stack.length - 1].name === name) {
+                stack.pop();
+            }
+            continue;
+        }
+
+        let rewritten = token;
+        const urlAttributes = URL_ATTRIBUTES[name];
+        if (urlAttributes) {
+            rewritten = token.replace(
+                /(\s)([^\s=/>]+)(\s*=\s*)(?:"([^"]*)"|'([^']*)')/g,
+                (attribute, space, attrName, equals, doubleQuoted, singleQuoted) => {
+                    const kind = urlAttributes[attrName];
+                    const mapped = kind ? mapAttribute(doubleQuoted ?? singleQuoted, kind, parent.base) : null;
+                    return mapped === null ? attribute : `${space}${attrName}${equals}"${encodeXml(mapped)}"`;
+                }
+            );
+        }
+        output.push(rewritten);
+
+        if (name === 'MPD' && stack.length === 1) {
+            mpdInsertAt = output.length;
+        }
+
+        if (name === 'BaseURL' && !selfClosing) {
+            // The first BaseURL sets the element's base; alternates resolve against the same parent
+            const owner = parent;
+            if (owner.name === 'MPD') {
+                mpdHasBaseUrl = true;
+            }
+            capture = {
+                name,
+                text: '',
+                rewrite: (url) => {
+                    const absolute = resolveUrl(url, owner.inheritedBase);
+                    if (!absolute) {
+                        return url;
+                    }
+                    if (!owner.hasBaseUrl) {
+                        owner.base = absolute;
+                        owner.hasBaseUrl = true;
+                    }
+                    return mapUrl(absolute, 'base');
+                }
+            };
+        } else if (name === 'Location' && !selfClosing) {
+            capture = {
+                name,
+                text: '',
+                rewrite: (url) => {
+                    const absolute = resolveUrl(url, manifestUrl);
+                    return absolute ? mapUrl(absolute, 'manifest') : url;
+                }
+            };
+        }
+
+        if (!selfClosing) {
+            stack.push({ name, inheritedBase: parent.base, base: parent.base, hasBaseUrl: false });
+        }
+    }
+
+    output.push(xml.substring(lastIndex));
+
+    if (mpdInsertAt !== -1 && !mpdHasBaseUrl) {
+        const directory = resolveUrl('.', manifestUrl);
+        output.splice(mpdInsertAt, 0, `\n  <BaseURL>${encodeXml(mapUrl(directory, 'base'))}</BaseURL>`);
+    }
+
+    return output.join('');
+}
+
+module.exports = { rewriteMpd, splitTemplate, isPlainRelative, describeMpd, listRepresentations, parseDuration };
@@ -0,0 +1,245 @@
+const { PassThrough } = require('stream');
+
+/**
+ * Single-flight helpers: concurrent requests for the same key share one upstream call
+ */
+
+/**
+ * Promise single-flight
+ * run(key, fn) calls fn once per key at a time; callers arriving while it is
+ * pending get the same promise
+ */
+class SingleFlight {
+    constructor() {
+        this.pending = new Map();
+    }
+
+    run(key, fn) {
+        if (!this.pending.has(key)) {
+            const call = Promise.resolve()
+                .then(fn)
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, call);
+        }
+        return this.pending.get(key);
+    }
+
+    get size() {
+        return this.pending.size;
+    }
+}
+
+/**
+ * Stream single-flight
+ *
+ * open(key, start) shares one upstream stream between concurrent callers: start()
+ * resolves to { stream, ...meta } and each caller gets { stream, ...meta } with a
+ * stream of its own carrying the full body (statusCode/headers are copied over).
+ * Callers that join after data has started get the buffered head replayed, up to
+ * replayLimit bytes - past that the flight stops taking joiners and later callers
+ * start their own.
+ *
+ * The source runs at the pace of the slowest caller; one that stalls for longer
+ * than stallTimeout while other callers are waiting is dropped (marked `stalled`)
+ * so it cannot hold them back. A caller that is alone, or only among stalled
+ * ones, is never dropped. When every caller has gone the source is destroyed.
+ */
+class StreamFlights {
+    constructor({ replayLimit = 4 * 1024 * 1024, stallTimeout = 30000 } = {}) {
+        this.replayLimit = replayLimit;
+        this.stallTimeout = stallTimeout;
+        this.flights = new Map();
+        this.counters = { flights: 0, joined: 0 };
+    }
+
+    async open(key, start) {
+        for (; ;) {
+            let flight = this.flights.get(key);
+            if (flight) {
+                this.counters.joined++;
+            } else {
+                flight = this.launch(key, start);
+            }
+
+            const meta = await flight.ready;
+            const stream = this.attach(flight);
+            if (stream) {
+                return { ...meta, stream };
+            }
+            // The flight stopped taking joiners while we waited - start another
+            if (this.flights.get(key) === flight) {
+                this.flights.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Start the upstream call for a key
+     */
+    launch(key, start) {
+        const flight = {
+            branches: new Set(),
+            head: [],
+            headBytes: 0,
+            joinable: true,
+            done: false,
+            error: null,
+            source: null,
+            stallTimer: null
+        };
+
+        this.flights.set(key, flight);
+        this.counters.flights++;
+
+        const retire = () => {
+            flight.joinable = false;
+            flight.head = [];
+            if (this.flights.get(key) === flight) {
+                this.flights.delete(key);
+            }
+        };
+        flight.retire = retire;
+
+        flight.ready = Promise.resolve()
+            .then(start)
+            .then(({ stream, ...meta }) => {
+                flight.source = stream;
+
+                stream.on('data', (chunk) => {
+                    if (flight.joinable) {
+                        flight.head.push(chunk);
+                        flight.headBytes += chunk.length;
+                        if (flight.headBytes > this.replayLimit) {
+                            retire();
+                        }
+                    }
+
+                    let blocked = false;
+                    for (const branch of flight.branches) {
+                        if (!branch.write(chunk)) {
+                            blocked = true;
+                        }
+                    }
+                    if (blocked) {
+                        this.pause(flight);
+                    }
+                });
+
+                stream.on('end', () => {
+                    flight.done = true;
+                    retire();
+                    clearTimeout(flight.stallTimer);
+                    for (const branch of flight.branches) {
+                        branch.end();
+                    }
+                });
+
+                stream.on('error', (error) => {
+                    flight.done = true;
+                    flight.error = error;
+                    retire();
+                    clearTimeout(flight.stallTimer);
+                    for (const branch of flight.branches) {
+                        branch.destroy(error);
+                    }
+                });
+
+                return meta;
+            });
+
+        flight.ready.catch(retire);
+
+        return flight;
+    }
+
+    /**
+     * A new caller's stream: the buffered head, then live data
+     * Returns null when the flight can no longer replay from the start
+     */
+    attach(flight) {
+        const { source } = flight;
+
+        if (!flight.joinable && (flight.branches.size > 0 || flight.headBytes > 0)) {
+            return null;
+        }
+
+        const branch = new PassThrough();
+        branch.statusCode = source.statusCode;
+        branch.headers = source.headers;
+
+        for (const chunk of flight.head) {
+            branch.write(chunk);
+        }
+
+        if (flight.done) {
+            if (flight.error) {
+                branch.destroy(flight.error);
+            } else {
+                branch.end();
+            }
+            return branch;
+        }
+
+        flight.branches.add(branch);
+
+        branch.on('drain', () => this.resume(flight));
+        branch.on('close', () => {
+            flight.branches.delete(branch);
+            if (flight.branches.size === 0 && !flight.done) {
+                // Nobody is reading any more
+                flight.done = true;
+                flight.retire();
+                clearTimeout(flight.stallTimer);
+                source.destroy();
+            } else {
+                this.resume(flight);
+            }
+        });
+
+        return branch;
+    }
+
+    /**
+     * Hold the source while a caller catches up, dropping callers that stall
+     * when others are waiting on them
+     */
+    pause(flight) {
+        flight.source.pause();
+
+        if (!flight.stallTimer) {
+            flight.stallTimer = setTimeout(() => {
+                flight.stallTimer = null;
+                const stalled = [...flight.branches].filter(branch => branch.writableNeedDrain);
+
+                if (stalled.length === flight.branches.size) {
+                    // Nobody is held back (e.g. one paused viewer) - keep waiting
+                    this.pause(flight);
+                    return;
+                }
+                for (const branch of stalled) {
+                    branch.stalled = true;
+                    branch.destroy();
+                }
+            }, this.stallTimeout);
+        }
+    }
+
+    /**
+     * Continue once every caller has drained
+     */
+    resume(flight) {
+        if (flight.done || [...flight.branches].some(branch => branch.writableNeedDrain)) {
+            return;
+        }
+
+        clearTimeout(flight.stallTimer);
+        flight.stallTimer = null;
+        flight.source.resume();
+    }
+
+    get size() {
+        return this.flights.size;
+    }
+}
+
+module.exports = { SingleFlight, StreamFlights };
@@ -0,0 +1,215 @@
+const { PassThrough } = require('stream');
+
+/**
+ * Streaming responses that stop the upstream transfer when the viewer leaves,
+ * and upstream bodies that survive a dropped connection
+ *
+ * Players cancel requests constantly (every seek aborts the previous range), so
+ * an upstream body must never keep downloading to a closed socket.
+ */
+
+// Streamed responses by outcome, and upstream reopens (per process)
+const counters = { started: 0, completed: 0, aborted: 0, failed: 0, resumed: 0 };
+
+// Upstream reopen policy
+const RESUME_RETRIES = (() => {
+    const retries = parseInt(process.env.STREAM_RESUME_RETRIES, 10);
+    return Number.isNaN(retries) ? 3 : retries;
+})();
+const RESUME_BACKOFF = 500; // ms before the first retry, doubled for each one after
+const IDLE_TIMEOUT = (parseInt(process.env.STREAM_IDLE_TIMEOUT, 10) || 20) * 1000;
+
+/**
+ * Count a streamed response until it closes
+ * Returns { gone, fail() }: gone() is true once the viewer has disconnected,
+ * fail() records an upstream failure instead of an abort
+ */
+function trackStream(res) {
+    counters.started++;
+    let outcome = null;
+
+    const settle = (result) => {
+        if (!outcome) {
+            outcome = result;
+            counters[result]++;
+        }
+    };
+
+    if (res.destroyed) {
+        settle('aborted');
+    } else {
+        res.on('close', () => settle(res.writableFinished ? 'completed' : 'aborted'));
+    }
+
+    return {
+        gone: () => outcome === 'aborted' || res.destroyed,
+        fail: () => settle('failed')
+    };
+}
+
+/**
+ * Stream an upstream body to a response, pipeline-style
+ *
+ * The viewer disconnecting destroys the source (aborting its download); the
+ * source failing calls onError(error) - which answers the request if headers
+ * have not gone out - and otherwise destroys the response.
+ */
+function pipeToResponse(source, res, onError) {
+    const tracker = trackStream(res);
+
+    if (tracker.gone()) {
+        source.destroy();
+        return;
+    }
+
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            source.destroy();
+        }
+    });
+
+    source.on('error', (error) => {
+        if (tracker.gone()) {
+            return;
+        }
+        tracker.fail();
+        if (onError) {
+            onError(error);
+        }
+        if (res.headersSent && !res.writableEnded) {
+            res.destroy(error);
+        }
+    });
+
+    source.pipe(res);
+}
+
+/**
+ * Bytes [start, end] of an upstream body, reopened where it broke off
+ *
+ * first is the upstream stream already open at start; open(offset) resolves to a
+ * stream of bytes [offset, end]. When the upstream errors, ends early or sends
+ * nothing for the idle timeout, it is reopened at the next byte not yet delivered,
+ * up to STREAM_RESUME_RETRIES times in a row with exponential backoff. Any
+ * delivered data resets the retry budget. An upstream that closes without an
+ * error was ended on our side (a stalled single-flight branch) and is not
+ * reopened - the output is destroyed instead. statusCode/headers are copied from first.
+ */
+function resumableStream(first, open, { start, end, label = 'upstream' }) {
+    const output = new PassThrough();
+    output.statusCode = first.statusCode;
+    output.headers = first.headers;
+
+    let offset = start;
+    let attempt = 0;
+    let current = null;
+    let closed = false;
+
+    const fail = (error) => {
+        if (closed) {
+            return;
+        }
+        if (attempt >= RESUME_RETRIES) {
+            output.destroy(error);
+            return;
+        }
+
+        const delay = RESUME_BACKOFF * 2 ** attempt;
+        attempt++;
+        counters.resumed++;
+        console.warn(`Resuming ${label} at byte ${offset} in ${delay}ms (retry ${attempt}/${RESUME_RETRIES}): ${error.message}`);
+
+        setTimeout(async () => {
+            if (closed) {
+                return;
+            }
+            try {
+                attach(await open(offset));
+            } catch (openError) {
+                fail(openError);
+            }
+        }, delay);
+    };
+
+    const attach = (source) => {
+        if (closed) {
+            source.destroy();
+            return;
+        }
+        current = source;
+
+        let settled = false;
+        let idleTimer = null;
+        const settle = (error) => {
+            if (!settled) {
+                settled = true;
+                clearTimeout(idleTimer);
+                if (error) {
+                    source.destroy();
+                    fail(error);
+                }
+            }
+        };
+        const arm = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => settle(new Error(`no data for ${IDLE_TIMEOUT / 1000}s`)), IDLE_TIMEOUT);
+        };
+
+        source.on('data', (chunk) => {
+            attempt = 0;
+            offset += chunk.length;
+            if (!output.write(chunk)) {
+                // The viewer is behind - not an idle upstream
+                clearTimeout(idleTimer);
+                source.pause();
+                output.once('drain', () => {
+                    if (!settled) {
+                        arm();
+                        source.resume();
+                    }
+                });
+            } else {
+                arm();
+            }
+        });
+        source.on('end', () => {
+            if (end !== null && offset <= end) {
+                settle(new Error(`ended ${end - offset + 1} bytes early`));
+            } else {
+                settle();
+                output.end();
+            }
+        });
+        source.on('error', settle);
+        source.on('close', () => {
+            if (!settled) {
+                settle();
+                // Not reopened: that would re-download for a viewer who is not reading
+                const reason = source.stalled || output.writableNeedDrain ? 'dropped while the viewer was not reading' : 'closed';
+                output.destroy(new Error(`${label} ${reason} at byte ${offset}`));
+            }
+        });
+
+        arm();
+    };
+
+    output.on('close', () => {
+        closed = true;
+        if (current) {
+            current.destroy();
+        }
+    });
+
+    attach(first);
+    return output;
+}
+
+/**
+ * Streamed response counters, plus how many are in progress
+ */
+function getStreamStats() {
+    const { started, completed, aborted, failed, resumed } = counters;
+    return { active: started - completed - aborted - failed, started, completed, aborted, failed, resumed };
+}
+
+module.exports = { trackStream, pipeToResponse, resumableStream, getStreamStats };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getValidators, isNotModified, isRangeFresh } = require('../src/utils/conditional');
+
+const MODIFIED = '2025-01-01T12:00:00.000Z';
+const LAST_MODIFIED = 'Wed, 01 Jan 2025 12:00:00 GMT';
+
+const STRONG = getValidators({ md5Checksum: 'abc', size: '1000', modifiedTime: MODIFIED });
+const WEAK = getValidators({ size: '1000', modifiedTime: MODIFIED });
+
+/**
+ * Minimal request carrying the given headers
+ */
+function request(headers) {
+    return { headers };
+}
+
+test('the md5 checksum gives a strong ETag, the size and time a weak one', () => {
+    assert.deepStrictEqual(STRONG, { etag: '"abc"', lastModified: LAST_MODIFIED });
+    assert.deepStrictEqual(WEAK, { etag: `W/"1000-${Date.parse(MODIFIED)}"`, lastModified: LAST_MODIFIED });
+    assert.deepStrictEqual(getValidators({ size: '1000' }), { etag: null, lastModified: null });
+});
+
+test('If-None-Match matches weakly against any listed tag or *', () => {
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"abc"' }), STRONG), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': 'W/"abc"' }), STRONG), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"x", "abc"' }), STRONG), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '*' }), STRONG), true);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '"x"' }), STRONG), false);
+    assert.strictEqual(isNotModified(request({ 'if-none-match': '*' }), { etag: null, lastModified: null }), false);
+});
+
+test('If-None-Match takes precedence over If-Modified-Since', () => {
+    const headers = { 'if-none-match': '"x"', 'if-modified-since': LAST_MODIFIED };
+    assert.strictEqual(isNotModified(request(headers), STRONG), false);
+});
+
+test('If-Modified-Since compares at one-second resolution', () => {
+    assert.strictEqual(isNotModified(request({ 'if-modified-since': LAST_MODIFIED }), STRONG), true);
+    assert.strictEqual(isNotModified(request({ 'if-modified-since': 'Thu, 02 Jan 2025 00:00:00 GMT' }), STRONG), true);
+    assert.strictEqual(isNotModified(request({ 'if-modified-since': 'Wed, 01 Jan 2025 11:59:59 GMT' }), STRONG), false);
+    assert.strictEqual(isNotModified(request({ 'if-modified-since': 'yesterday' }), STRONG), false);
+});
+
+test('If-Range needs a strong ETag match or the exact Last-Modified date', () => {
+    assert.strictEqual(isRangeFresh(request({}), STRONG), true);
+    assert.strictEqual(isRangeFresh(request({ 'if-range': '"abc"' }), STRONG), true);
+    assert.strictEqual(isRangeFresh(request({ 'if-range': '"stale"' }), STRONG), false);
+    assert.strictEqual(isRangeFresh(request({ 'if-range': 'W/"abc"' }), STRONG), false);
+    assert.strictEqual(isRangeFresh(request({ 'if-range': WEAK.etag }), WEAK), false);
+
+    assert.strictEqual(isRangeFresh(request({ 'if-range': LAST_MODIFIED }), STRONG), true);
+    assert.strictEqual(isRangeFresh(request({ 'if-range': 'Thu, 02 Jan 2025 00:00:00 GMT' }), STRONG), false);
+});
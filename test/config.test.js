@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createConfig, getBaseUrl } = require('../src/config');
+
+const VARIABLES = ['VERCEL', 'VERCEL_URL', 'BASE_URL', 'STREAM_PATH_PREFIX', 'TRUST_PROXY'];
+
+/**
+ * Run fn with the given environment variables set and the others above unset
+ */
+function withEnv(values, fn) {
+    const saved = {};
+    for (const name of VARIABLES) {
+        saved[name] = process.env[name];
+        delete process.env[name];
+    }
+    Object.assign(process.env, values);
+
+    try {
+        return fn();
+    } finally {
+        for (const name of VARIABLES) {
+            if (saved[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = saved[name];
+            }
+        }
+    }
+}
+
+test('each target gets its own URL layout', () => {
+    withEnv({}, () => {
+        const server = createConfig('server');
+        assert.strictEqual(server.streamPrefix, '/stream');
+        assert.strictEqual(server.serveFrontend, true);
+        assert.strictEqual(server.trustProxy, false);
+
+        const vercel = createConfig('vercel');
+        assert.strictEqual(vercel.streamPrefix, '/api/stream');
+        assert.strictEqual(vercel.serveFrontend, false);
+        assert.strictEqual(vercel.trustProxy, true);
+    });
+
+    assert.throws(() => createConfig('lambda'), /Unknown deployment target: lambda/);
+});
+
+test('the target defaults to vercel only when running on Vercel', () => {
+    withEnv({}, () => assert.strictEqual(createConfig().target, 'server'));
+    withEnv({ VERCEL: '1' }, () => assert.strictEqual(createConfig().target, 'vercel'));
+});
+
+test('BASE_URL wins over the Vercel deployment URL and loses its trailing slashes', () => {
+    withEnv({ VERCEL_URL: 'app-123.vercel.app' }, () => {
+        assert.strictEqual(createConfig('vercel').baseUrl, 'https://app-123.vercel.app');
+        assert.strictEqual(createConfig('server').baseUrl, null);
+    });
+    withEnv({ VERCEL_URL: 'app-123.vercel.app', BASE_URL: 'https://videos.example.com//' }, () => {
+        assert.strictEqual(createConfig('vercel').baseUrl, 'https://videos.example.com');
+    });
+});
+
+test('TRUST_PROXY accepts booleans, hop counts and address lists', () => {
+    withEnv({ TRUST_PROXY: 'true' }, () => assert.strictEqual(createConfig('server').trustProxy, true));
+    withEnv({ TRUST_PROXY: 'false' }, () => assert.strictEqual(createConfig('vercel').trustProxy, false));
+    withEnv({ TRUST_PROXY: '2' }, () => assert.strictEqual(createConfig('server').trustProxy, 2));
+    withEnv({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }, () => {
+        assert.deepStrictEqual(createConfig('server').trustProxy, ['loopback', '10.0.0.0/8']);
+    });
+});
+
+test('the base URL is taken from forwarded headers when not configured', () => {
+    const config = { baseUrl: null };
+
+    assert.strictEqual(
+        getBaseUrl(config, { headers: { host: 'localhost:3000' }, protocol: 'http' }),
+        'http://localhost:3000'
+    );
+    assert.strictEqual(
+        getBaseUrl(config, {
+            headers: { host: 'internal:8080', 'x-forwarded-proto': 'https, http', 'x-forwarded-host': 'videos.example.com, proxy' },
+            protocol: 'http'
+        }),
+        'https://videos.example.com'
+    );
+    assert.strictEqual(getBaseUrl({ baseUrl: 'https://fixed.example.com' }, { headers: {} }), 'https://fixed.example.com');
+});
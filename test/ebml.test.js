@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readVint, describeEbml } = require('../src/utils/ebml');
+
+/**
+ * EBML element with a one-byte size (id given as its encoded bytes)
+ */
+function element(id, data) {
+    return Buffer.concat([Buffer.from(id), Buffer.from([0x80 | data.length]), data]);
+}
+
+function float64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    return buffer;
+}
+
+const HEADER = element([0x1A, 0x45, 0xDF, 0xA3], element([0x42, 0x82], Buffer.from('webm')));
+const INFO = element([0x15, 0x49, 0xA9, 0x66], Buffer.concat([
+    element([0x2A, 0xD7, 0xB1], Buffer.from([0x0F, 0x42, 0x40])), // TimecodeScale 1000000
+    element([0x44, 0x89], float64(83500))
+]));
+const CLUSTER = element([0x1F, 0x43, 0xB6, 0x75], Buffer.alloc(4));
+
+/**
+ * Segment of unknown size, as live muxers write it
+ */
+function segment(...children) {
+    return Buffer.concat([Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), ...children]);
+}
+
+test('variable-length integers decode by their length marker', () => {
+    assert.deepStrictEqual(readVint(Buffer.from([0x81]), 0), { length: 1, value: 1 });
+    assert.deepStrictEqual(readVint(Buffer.from([0x40, 0x02]), 0), { length: 2, value: 2 });
+    assert.deepStrictEqual(readVint(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), 0, { keepMarker: true }), { length: 4, value: 0x1A45DFA3 });
+    // All value bits set means an unknown size
+    assert.deepStrictEqual(readVint(Buffer.from([0xFF]), 0), { length: 1, value: null });
+    assert.strictEqual(readVint(Buffer.from([0x40]), 0), null);
+    assert.strictEqual(readVint(Buffer.from([0x00, 0x00]), 0), null);
+});
+
+test('the doc type and duration come from the header and Info element', () => {
+    assert.deepStrictEqual(describeEbml(Buffer.concat([HEADER, segment(INFO, CLUSTER)])), { docType: 'webm', duration: 83.5 });
+});
+
+test('an Info element after the first Cluster or past the buffer is not read', () => {
+    assert.deepStrictEqual(describeEbml(Buffer.concat([HEADER, segment(CLUSTER, INFO)])), { docType: 'webm', duration: null });
+
+    const file = Buffer.concat([HEADER, segment(INFO)]);
+    assert.deepStrictEqual(describeEbml(file.subarray(0, file.length - 4)), { docType: 'webm', duration: null });
+});
+
+test('non-EBML data describes as nothing', () => {
+    assert.deepStrictEqual(describeEbml(Buffer.from('not a matroska file')), { docType: null, duration: null });
+    assert.deepStrictEqual(describeEbml(Buffer.alloc(0)), { docType: null, duration: null });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRange, buildMultipart } = require('../src/utils/httpRange');
+
+test('missing, malformed and non-byte ranges are ignored', () => {
+    assert.strictEqual(parseRange(undefined, 1000), null);
+    assert.strictEqual(parseRange('', 1000), null);
+    assert.strictEqual(parseRange('items=0-10', 1000), null);
+    assert.strictEqual(parseRange('bytes=abc', 1000), null);
+    assert.strictEqual(parseRange('bytes=-', 1000), null);
+    // A last-byte-pos before the first-byte-pos invalidates the whole header
+    assert.strictEqual(parseRange('bytes=0-10,50-20', 1000), null);
+});
+
+test('single, open-ended and suffix ranges are clamped to the representation', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-99', 1000), { ranges: [{ start: 0, end: 99 }] });
+    assert.deepStrictEqual(parseRange('bytes=900-', 1000), { ranges: [{ start: 900, end: 999 }] });
+    assert.deepStrictEqual(parseRange('bytes=900-5000', 1000), { ranges: [{ start: 900, end: 999 }] });
+    assert.deepStrictEqual(parseRange('bytes=-100', 1000), { ranges: [{ start: 900, end: 999 }] });
+    assert.deepStrictEqual(parseRange('bytes=-5000', 1000), { ranges: [{ start: 0, end: 999 }] });
+    assert.deepStrictEqual(parseRange(' Bytes = 10 - 20 ', 1000), { ranges: [{ start: 10, end: 20 }] });
+});
+
+test('ranges outside the representation are unsatisfiable', () => {
+    assert.deepStrictEqual(parseRange('bytes=1000-', 1000), { unsatisfiable: true });
+    assert.deepStrictEqual(parseRange('bytes=-0', 1000), { unsatisfiable: true });
+    assert.deepStrictEqual(parseRange('bytes=2000-3000,1000-', 1000), { unsatisfiable: true });
+    // Satisfiable ranges survive next to unsatisfiable ones
+    assert.deepStrictEqual(parseRange('bytes=2000-3000,0-9', 1000), { ranges: [{ start: 0, end: 9 }] });
+});
+
+test('multiple ranges are sorted and overlapping or adjacent ones merged', () => {
+    assert.deepStrictEqual(parseRange('bytes=500-599,0-99', 1000), {
+        ranges: [{ start: 0, end: 99 }, { start: 500, end: 599 }]
+    });
+    assert.deepStrictEqual(parseRange('bytes=0-99,50-149,150-199,-100', 1000), {
+        ranges: [{ start: 0, end: 199 }, { start: 900, end: 999 }]
+    });
+});
+
+test('multiple ranges are coalesced without multipart or past the range limit', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-9,100-109', 1000, { multipart: false }), {
+        ranges: [{ start: 0, end: 109 }]
+    });
+
+    const many = Array.from({ length: 11 }, (_, i) => `${i * 20}-${i * 20 + 9}`).join(',');
+    assert.deepStrictEqual(parseRange(`bytes=${many}`, 1000), { ranges: [{ start: 0, end: 209 }] });
+});
+
+test('multipart layouts frame every part and count the exact body length', () => {
+    const ranges = [{ start: 0, end: 9 }, { start: 100, end: 104 }];
+    const multipart = buildMultipart(ranges, 1000, 'video/mp4');
+
+    assert.strictEqual(multipart.contentType, `multipart/byteranges; boundary=${multipart.boundary}`);
+    assert.strictEqual(multipart.parts[0].header,
+        `--${multipart.boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-9/1000\r\n\r\n`);
+    assert.ok(multipart.parts[1].header.startsWith(`\r\n--${multipart.boundary}\r\n`));
+    assert.ok(multipart.parts[1].header.includes('Content-Range: bytes 100-104/1000\r\n'));
+    assert.strictEqual(multipart.trailer, `\r\n--${multipart.boundary}--\r\n`);
+
+    const body = multipart.parts[0].header + 'x'.repeat(10) + multipart.parts[1].header + 'x'.repeat(5) + multipart.trailer;
+    assert.strictEqual(multipart.length, Buffer.byteLength(body));
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePlaylist, serializePlaylist, rewritePlaylist, getVariants, getPlaylistDuration } = require('../src/utils/m3u8');
+
+const BASE = 'https://cdn.example.com/live/show/master.m3u8';
+
+const MASTER = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",DEFAULT=YES,URI="audio/en.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=1280000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",AUDIO="aud"',
+    '720p/index.m3u8?token=abc',
+    '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=86000,URI="../iframes/720p.m3u8"',
+    ''
+].join('\n');
+
+const MEDIA = [
+    '#EXTM3U',
+    '#EXT-X-TARGETDURATION:6',
+    '#EXT-X-KEY:METHOD=AES-128,URI="/keys/1.key",IV=0x1',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:6.000,',
+    '../segments/0.ts',
+    '#EXTINF:6.000,',
+    'https://other.example.net/1.ts',
+    '#EXT-X-ENDLIST',
+    ''
+].join('\n');
+
+/**
+ * Rewrite a playlist, recording every (absolute URL, kind) the mapper sees
+ */
+function rewrite(text) {
+    const seen = [];
+    const playlist = rewritePlaylist(parsePlaylist(text), BASE, (url, kind) => {
+        seen.push([url, kind]);
+        return `/proxy/${kind}/${seen.length}`;
+    });
+    return { seen, output: serializePlaylist(playlist) };
+}
+
+test('unmodified playlists serialize unchanged', () => {
+    assert.strictEqual(serializePlaylist(parsePlaylist(MASTER)), MASTER);
+    assert.strictEqual(serializePlaylist(parsePlaylist(MEDIA)), MEDIA);
+});
+
+test('EXT-X-MEDIA and EXT-X-I-FRAME-STREAM-INF URIs are rewritten as playlists', () => {
+    const { seen, output } = rewrite(MASTER);
+
+    assert.deepStrictEqual(seen, [
+        ['https://cdn.example.com/live/show/audio/en.m3u8', 'playlist'],
+        ['https://cdn.example.com/live/show/720p/index.m3u8?token=abc', 'playlist'],
+        ['https://cdn.example.com/live/iframes/720p.m3u8', 'playlist']
+    ]);
+    assert.match(output, /^#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",DEFAULT=YES,URI="\/proxy\/playlist\/1"$/m);
+    assert.match(output, /^#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=86000,URI="\/proxy\/playlist\/3"$/m);
+    // Attributes other than URI keep their quoting
+    assert.match(output, /CODECS="avc1.64001f,mp4a.40.2",AUDIO="aud"\n\/proxy\/playlist\/2\n/);
+});
+
+test('relative, root-relative and absolute URIs resolve against the playlist URL', () => {
+    const { seen } = rewrite(MEDIA);
+
+    assert.deepStrictEqual(seen, [
+        ['https://cdn.example.com/keys/1.key', 'key'],
+        ['https://cdn.example.com/live/show/init.mp4', 'init'],
+        ['https://cdn.example.com/live/segments/0.ts', 'segment'],
+        ['https://other.example.net/1.ts', 'segment']
+    ]);
+});
+
+test('non-http URIs are left alone', () => {
+    const text = '#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"\n#EXTINF:6,\ndata:video/mp2t;base64,AAAA\n';
+    const { seen, output } = rewrite(text);
+
+    assert.deepStrictEqual(seen, []);
+    assert.strictEqual(output, text);
+});
+
+test('variant streams are listed with their URLs resolved', () => {
+    const text = `${MASTER}#EXT-X-STREAM-INF:BANDWIDTH=640000,AVERAGE-BANDWIDTH=500000,FRAME-RATE=29.970\nhttps://other.example.net/360p.m3u8\n`;
+
+    assert.deepStrictEqual(getVariants(parsePlaylist(text), BASE), [
+        {
+            url: 'https://cdn.example.com/live/show/720p/index.m3u8?token=abc',
+            bandwidth: 1280000,
+            averageBandwidth: null,
+            width: 1280,
+            height: 720,
+            codecs: 'avc1.64001f,mp4a.40.2',
+            frameRate: null
+        },
+        {
+            url: 'https://other.example.net/360p.m3u8',
+            bandwidth: 640000,
+            averageBandwidth: 500000,
+            width: null,
+            height: null,
+            codecs: null,
+            frameRate: 29.97
+        }
+    ]);
+});
+
+test('a media playlist lasts as long as its EXTINF durations add up to', () => {
+    assert.strictEqual(getPlaylistDuration(parsePlaylist(MEDIA)), 12);
+    assert.strictEqual(getPlaylistDuration(parsePlaylist(MASTER)), 0);
+});
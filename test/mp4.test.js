@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readBoxes, findBox, getMovieDuration, describeMovie } = require('../src/utils/mp4');
+
+/**
+ * ISO BMFF box with a 32-bit size
+ */
+function box(type, ...payload) {
+    const data = Buffer.concat(payload.map(part => Buffer.from(part)));
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + data.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, data]);
+}
+
+function uint16(...values) {
+    const buffer = Buffer.alloc(2 * values.length);
+    values.forEach((value, index) => buffer.writeUInt16BE(value, 2 * index));
+    return buffer;
+}
+
+function uint32(...values) {
+    const buffer = Buffer.alloc(4 * values.length);
+    values.forEach((value, index) => buffer.writeUInt32BE(value, 4 * index));
+    return buffer;
+}
+
+/**
+ * Version 0 mvhd: version/flags, creation, modification, timescale, duration
+ */
+function mvhd(timescale, duration) {
+    return box('mvhd', uint32(0, 0, 0, timescale, duration), Buffer.alloc(80));
+}
+
+/**
+ * Version 0 tkhd with a 90 degree rotation matrix
+ */
+function tkhd(id, width, height) {
+    // Matrix [a b u; c d v; x y w] - a = cos, b = sin, 16.16 fixed point (u, v, w 2.30)
+    const matrix = uint32(0, 0x10000, 0, 0xFFFF0000, 0, 0, 0, 0, 0x40000000);
+    return box('tkhd', uint32(0, 0, 0, id, 0, 0, 0, 0, 0, 0), matrix, uint32(width << 16, height << 16));
+}
+
+/**
+ * Version 0 mdhd with a packed ISO 639-2 language
+ */
+function mdhd(timescale, language) {
+    const packed = [...language].reduce((value, letter) => (value << 5) | (letter.charCodeAt(0) - 0x60), 0);
+    return box('mdhd', uint32(0, 0, 0, timescale, 0), uint16(packed, 0));
+}
+
+function trak(id, handler, timescale, language, entry, ...tables) {
+    const stsd = box('stsd', uint32(0, 1), entry);
+    return box('trak',
+        tkhd(id, 1280, 720),
+        box('mdia',
+            mdhd(timescale, language),
+            box('hdlr', uint32(0, 0), handler, Buffer.alloc(13)),
+            box('minf', box('stbl', stsd, ...tables))));
+}
+
+// avc1 entry: 1280x720, High profile level 3.1
+const AVC1 = box('avc1', Buffer.alloc(24), uint16(1280, 720), Buffer.alloc(50), box('avcC', Buffer.from([1, 0x64, 0x00, 0x1F])));
+
+// 300 frames of 1001 ticks at 30000 ticks per second
+const STTS = box('stts', uint32(0, 1, 300, 1001));
+
+// mp4a entry: stereo 48 kHz AAC-LC
+const ESDS = box('esds', uint32(0), Buffer.from([
+    0x03, 0x19, 0x00, 0x01, 0x00,
+    0x04, 0x11, 0x40, 0x15, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0x05, 0x02, 0x11, 0x90
+]));
+const MP4A = box('mp4a', Buffer.alloc(8), uint16(0, 0), Buffer.alloc(4), uint16(2, 16, 0, 0), uint32(48000 * 65536), ESDS);
+
+const FTYP = box('ftyp', 'isom', uint32(512), 'isomiso2mp41');
+
+test('top-level boxes are listed in order with their sizes', () => {
+    const file = Buffer.concat([FTYP, box('free'), box('mdat', Buffer.alloc(16))]);
+
+    assert.deepStrictEqual(readBoxes(file), [
+        { type: 'ftyp', start: 0, headerSize: 8, size: 28 },
+        { type: 'free', start: 28, headerSize: 8, size: 8 },
+        { type: 'mdat', start: 36, headerSize: 8, size: 24 }
+    ]);
+});
+
+test('64-bit, to-end-of-file and cut-off boxes are handled', () => {
+    const large = Buffer.concat([uint32(1), Buffer.from('mdat'), uint32(0, 24), Buffer.alloc(8)]);
+    assert.deepStrictEqual(readBoxes(large), [{ type: 'mdat', start: 0, headerSize: 16, size: 24 }]);
+
+    const toEnd = Buffer.concat([FTYP, uint32(0), Buffer.from('mdat'), Buffer.alloc(100)]);
+    assert.deepStrictEqual(readBoxes(toEnd)[1], { type: 'mdat', start: 28, headerSize: 8, size: 108, truncated: true });
+
+    const cut = Buffer.concat([FTYP, box('moov', Buffer.alloc(100))]).subarray(0, 60);
+    assert.deepStrictEqual(readBoxes(cut)[1], { type: 'moov', start: 28, headerSize: 8, size: 108, truncated: true });
+
+    // A size smaller than the header ends the list
+    assert.deepStrictEqual(readBoxes(Buffer.concat([uint32(4), Buffer.from('junk')])), []);
+});
+
+test('box paths are followed down the hierarchy', () => {
+    const file = Buffer.concat([FTYP, box('moov', mvhd(1000, 5000), box('trak'))]);
+
+    assert.deepStrictEqual(findBox(file, ['moov', 'mvhd']), { type: 'mvhd', start: 36, headerSize: 8, size: 108 });
+    assert.strictEqual(findBox(file, ['moov', 'udta']), null);
+    assert.strictEqual(findBox(file.subarray(0, 100), ['moov', 'mvhd']), null);
+});
+
+test('the movie duration comes from mvhd when moov is in the buffer', () => {
+    assert.strictEqual(getMovieDuration(Buffer.concat([FTYP, box('moov', mvhd(600, 45300))])), 75.5);
+    // moov at the end of the file, past the bytes read
+    assert.strictEqual(getMovieDuration(Buffer.concat([FTYP, box('mdat', Buffer.alloc(32))])), null);
+    // Fragmented files leave the duration unknown
+    assert.strictEqual(getMovieDuration(Buffer.concat([FTYP, box('moov', mvhd(1000, 0xFFFFFFFF))])), null);
+    assert.strictEqual(getMovieDuration(Buffer.concat([FTYP, box('moov', mvhd(0, 1000))])), null);
+});
+
+test('tracks are described from the moov box', () => {
+    const moov = box('moov',
+        mvhd(1000, 10010),
+        trak(1, 'vide', 30000, 'eng', AVC1, STTS),
+        trak(2, 'soun', 48000, 'und', MP4A));
+
+    assert.deepStrictEqual(describeMovie(moov), {
+        duration: 10.01,
+        tracks: [
+            {
+                id: 1,
+                type: 'video',
+                format: 'avc1',
+                name: 'H.264/AVC',
+                codec: 'avc1.64001F',
+                profile: 'High',
+                level: '3.1',
+                language: 'eng',
+                width: 1280,
+                height: 720,
+                frameRate: 29.97,
+                rotation: 90
+            },
+            {
+                id: 2,
+                type: 'audio',
+                format: 'mp4a',
+                name: 'AAC',
+                codec: 'mp4a.40.2',
+                profile: 'AAC-LC',
+                language: null,
+                channels: 2,
+                sampleRate: 48000
+            }
+        ]
+    });
+});
+
+test('tracks whose boxes are cut short are skipped, and a partial moov gives nothing', () => {
+    const video = trak(1, 'vide', 30000, 'eng', AVC1, STTS);
+    // tkhd ends the file before its track id
+    const broken = box('trak',
+        box('mdia', mdhd(1000, 'und'), box('hdlr', uint32(0, 0), 'vide', Buffer.alloc(13))),
+        box('tkhd', uint32(0, 0)));
+    const moov = box('moov', mvhd(1000, 10010), video, broken);
+
+    assert.deepStrictEqual(describeMovie(moov).tracks.map(track => track.id), [1]);
+    assert.strictEqual(describeMovie(moov.subarray(0, moov.length - 1)), null);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rewriteMpd, splitTemplate, isPlainRelative, describeMpd, listRepresentations, parseDuration } = require('../src/utils/mpd');
+
+const MANIFEST_URL = 'https://cdn.example.com/vod/show/manifest.mpd';
+
+const MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT60S">
+  <!-- packaged by <tool> -->
+  <Location>https://origin.example.com/vod/show/manifest.mpd?token=a&amp;b=1</Location>
+  <Period id="1">
+    <BaseURL>period1/</BaseURL>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate media="seg-$Number$.m4s" initialization="/init/$RepresentationID$.mp4"/>
+      <Representation id="v1" bandwidth="1000000"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4">
+      <BaseURL>https://audio.example.net/a/</BaseURL>
+      <BaseURL>https://backup.example.net/a/</BaseURL>
+      <Representation id="a1" bandwidth="128000">
+        <SegmentList>
+          <Initialization sourceURL='../init.mp4'/>
+          <SegmentURL media="1.m4s"/>
+        </SegmentList>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>
+`;
+
+/**
+ * Rewrite an MPD, recording every (absolute URL, kind) the mapper sees
+ */
+function rewrite(xml) {
+    const seen = [];
+    const output = rewriteMpd(xml, MANIFEST_URL, (url, kind) => {
+        seen.push([url, kind]);
+        return `/proxy/${kind}/${seen.length}?x=1&y=2`;
+    });
+    return { seen, output };
+}
+
+test('plain relative paths are told apart from URLs that escape the base', () => {
+    assert.strictEqual(isPlainRelative('seg-$Number$.m4s'), true);
+    assert.strictEqual(isPlainRelative('video/init.mp4?v=1'), true);
+    assert.strictEqual(isPlainRelative('https://cdn.example.com/a.m4s'), false);
+    assert.strictEqual(isPlainRelative('/root/a.m4s'), false);
+    assert.strictEqual(isPlainRelative('../a.m4s'), false);
+});
+
+test('templates split at the directory before the first identifier', () => {
+    assert.deepStrictEqual(splitTemplate('https://cdn/v/seg-$Number$.m4s'), { prefix: 'https://cdn/v/', rest: 'seg-$Number$.m4s' });
+    assert.deepStrictEqual(splitTemplate('https://cdn/$RepresentationID$/seg.m4s'), { prefix: 'https://cdn/', rest: '$RepresentationID$/seg.m4s' });
+    assert.deepStrictEqual(splitTemplate('https://cdn/v/init.mp4?a=/b'), { prefix: 'https://cdn/v/', rest: 'init.mp4?a=/b' });
+});
+
+test('BaseURLs resolve down the hierarchy and escaping URLs resolve against them', () => {
+    const { seen } = rewrite(MPD);
+
+    assert.deepStrictEqual(seen, [
+        ['https://origin.example.com/vod/show/manifest.mpd?token=a&b=1', 'manifest'],
+        ['https://cdn.example.com/vod/show/period1/', 'base'],
+        ['https://cdn.example.com/init/$RepresentationID$.mp4', 'init'],
+        ['https://audio.example.net/a/', 'base'],
+        // Alternates resolve against the parent, not the first BaseURL
+        ['https://backup.example.net/a/', 'base'],
+        ['https://audio.example.net/init.mp4', 'init'],
+        // Added MPD-level BaseURL
+        ['https://cdn.example.com/vod/show/', 'base']
+    ]);
+});
+
+test('only URLs change; everything else is written back as it was', () => {
+    const { output } = rewrite(MPD);
+
+    assert.match(output, /<Location>\/proxy\/manifest\/1\?x=1&amp;y=2<\/Location>/);
+    assert.match(output, /<BaseURL>\/proxy\/base\/2\?x=1&amp;y=2<\/BaseURL>/);
+    assert.match(output, /<SegmentTemplate media="seg-\$Number\$\.m4s" initialization="\/proxy\/init\/3\?x=1&amp;y=2"\/>/);
+    assert.match(output, /<Initialization sourceURL="\/proxy\/init\/6\?x=1&amp;y=2"\/>/);
+    assert.match(output, /<SegmentURL media="1\.m4s"\/>/);
+    assert.match(output, /^<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT60S">\n {2}<BaseURL>\/proxy\/base\/7\?x=1&amp;y=2<\/BaseURL>$/m);
+
+    const unchanged = (text) => text
+        .replace(/<BaseURL>[^<]*<\/BaseURL>\n?\s*/g, '')
+        .replace(/<Location>[^<]*<\/Location>/, '')
+        .replace(/(initialization|sourceURL)=("[^"]*"|'[^']*')/g, '$1');
+    assert.strictEqual(unchanged(output), unchanged(MPD));
+});
+
+test('an existing MPD-level BaseURL is rewritten rather than added', () => {
+    const xml = '<MPD><BaseURL>https://cdn.example.com/other/</BaseURL><Period><SegmentURL media="/abs/1.m4s"/></Period></MPD>';
+    const { seen, output } = rewrite(xml);
+
+    assert.deepStrictEqual(seen, [
+        ['https://cdn.example.com/other/', 'base'],
+        ['https://cdn.example.com/abs/1.m4s', 'segment']
+    ]);
+    assert.strictEqual(output.match(/<BaseURL>/g).length, 1);
+});
+
+test('ISO 8601 durations convert to seconds', () => {
+    assert.strictEqual(parseDuration('PT2S'), 2);
+    assert.strictEqual(parseDuration('PT1M30.5S'), 90.5);
+    assert.strictEqual(parseDuration('P1DT2H'), 93600);
+    assert.strictEqual(parseDuration('P'), null);
+    assert.strictEqual(parseDuration('PT'), null);
+    assert.strictEqual(parseDuration('2 seconds'), null);
+    assert.strictEqual(parseDuration(null), null);
+});
+
+test('the MPD element says whether the manifest is live and how long it plays', () => {
+    assert.deepStrictEqual(describeMpd(MPD), { dynamic: false, minimumUpdatePeriod: null, duration: 60 });
+    assert.deepStrictEqual(
+        describeMpd("<mpd:MPD xmlns:mpd='urn:mpeg:dash:schema:mpd:2011' type='dynamic' minimumUpdatePeriod='PT4S'>"),
+        { dynamic: true, minimumUpdatePeriod: 4, duration: null }
+    );
+});
+
+test('representations inherit their AdaptationSet attributes, first period only', () => {
+    const xml = `<MPD>
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4" codecs="avc1.64001f" frameRate="30000/1001">
+      <Representation id="720" bandwidth="3000000" width="1280" height="720"/>
+      <Representation id="1080" bandwidth="6000000" width="1920" height="1080" codecs="avc1.640028"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4">
+      <Representation id="aac" bandwidth="128000" codecs="mp4a.40.2"/>
+    </AdaptationSet>
+    <Representation id="stray"/>
+  </Period>
+  <Period>
+    <AdaptationSet mimeType="video/mp4"><Representation id="ad" bandwidth="1"/></AdaptationSet>
+  </Period>
+</MPD>`;
+
+    assert.deepStrictEqual(listRepresentations(xml), [
+        { id: '720', contentType: 'video', mimeType: 'video/mp4', codecs: 'avc1.64001f', bandwidth: 3000000, width: 1280, height: 720, frameRate: 29.97 },
+        { id: '1080', contentType: 'video', mimeType: 'video/mp4', codecs: 'avc1.640028', bandwidth: 6000000, width: 1920, height: 1080, frameRate: 29.97 },
+        { id: 'aac', contentType: 'audio', mimeType: 'audio/mp4', codecs: 'mp4a.40.2', bandwidth: 128000, width: null, height: null, frameRate: null },
+        { id: 'stray', contentType: null, mimeType: null, codecs: null, bandwidth: null, width: null, height: null, frameRate: null }
+    ]);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { once } = require('events');
+const { SingleFlight, StreamFlights } = require('../src/utils/singleFlight');
+
+/**
+ * Read a stream to the end
+ */
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+}
+
+/**
+ * start() for StreamFlights over a source the test writes to, counting calls
+ */
+function upstream() {
+    const source = new PassThrough();
+    source.statusCode = 200;
+    source.headers = { 'content-type': 'video/mp4' };
+
+    const start = async () => {
+        start.calls++;
+        return { stream: source, size: 11 };
+    };
+    start.calls = 0;
+
+    return { source, start };
+}
+
+test('concurrent runs of one key share a call; later runs start a new one', async () => {
+    const flights = new SingleFlight();
+    let calls = 0;
+    const fn = async () => ++calls;
+
+    assert.deepStrictEqual(await Promise.all([flights.run('a', fn), flights.run('a', fn), flights.run('b', fn)]), [1, 1, 2]);
+    assert.strictEqual(flights.size, 0);
+    assert.strictEqual(await flights.run('a', fn), 3);
+
+    await assert.rejects(flights.run('c', async () => { throw new Error('upstream down'); }), /upstream down/);
+    assert.strictEqual(flights.size, 0);
+});
+
+test('callers of one stream share the upstream and each get the full body', async () => {
+    const flights = new StreamFlights();
+    const { source, start } = upstream();
+
+    const first = await flights.open('file', start);
+    source.write('hello ');
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Joins after data started: the head is replayed
+    const second = await flights.open('file', start);
+    source.end('world');
+
+    assert.strictEqual(start.calls, 1);
+    assert.strictEqual(second.size, 11);
+    assert.strictEqual(second.stream.statusCode, 200);
+    assert.deepStrictEqual(second.stream.headers, { 'content-type': 'video/mp4' });
+    assert.deepStrictEqual(await Promise.all([collect(first.stream), collect(second.stream)]), ['hello world', 'hello world']);
+    assert.strictEqual(flights.size, 0);
+});
+
+test('past the replay limit, later callers start their own upstream', async () => {
+    const flights = new StreamFlights({ replayLimit: 4 });
+    const first = upstream();
+    const second = upstream();
+
+    const a = await flights.open('file', first.start);
+    first.source.write('more than four bytes');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const b = await flights.open('file', second.start);
+    assert.strictEqual(first.start.calls, 1);
+    assert.strictEqual(second.start.calls, 1);
+
+    first.source.end();
+    second.source.end('fresh');
+    assert.strictEqual(await collect(a.stream), 'more than four bytes');
+    assert.strictEqual(await collect(b.stream), 'fresh');
+});
+
+test('the upstream is destroyed once every caller has gone', async () => {
+    const flights = new StreamFlights();
+    const { source, start } = upstream();
+
+    const a = await flights.open('file', start);
+    const b = await flights.open('file', start);
+
+    a.stream.destroy();
+    await once(a.stream, 'close');
+    assert.strictEqual(source.destroyed, false);
+
+    b.stream.destroy();
+    await once(b.stream, 'close');
+    assert.strictEqual(source.destroyed, true);
+    assert.strictEqual(flights.size, 0);
+});
+
+test('a caller that stalls while others wait is dropped', async () => {
+    const flights = new StreamFlights({ stallTimeout: 50 });
+    const { source, start } = upstream();
+
+    const reader = await flights.open('file', start);
+    const staller = await flights.open('file', start);
+    const body = collect(reader.stream);
+
+    // Fill the stalled caller's buffer (nobody reads it)
+    source.write(Buffer.alloc(64 * 1024));
+    await once(staller.stream, 'close');
+    assert.strictEqual(staller.stream.stalled, true);
+
+    source.end();
+    assert.strictEqual((await body).length, 64 * 1024);
+});
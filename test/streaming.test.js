@@ -0,0 +1,94 @@
+// One reopen per break, so exhausting the retries takes a single backoff
+process.env.STREAM_RESUME_RETRIES = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { once } = require('events');
+const { resumableStream } = require('../src/utils/streaming');
+
+/**
+ * Read a stream to the end
+ */
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+}
+
+/**
+ * Upstream body that sends data, then breaks off with error (or ends when error is null)
+ */
+function upstream(data, error = null) {
+    const source = new PassThrough();
+    source.statusCode = 206;
+    source.headers = { 'content-range': 'bytes 0-9/10' };
+    source.write(data);
+    setImmediate(() => (error ? source.destroy(error) : source.end()));
+    return source;
+}
+
+test('a broken upstream is reopened at the next undelivered byte', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const offsets = [];
+
+    const output = resumableStream(upstream('0123', new Error('socket hang up')), async (offset) => {
+        offsets.push(offset);
+        return upstream('456789');
+    }, { start: 0, end: 9 });
+
+    assert.strictEqual(output.statusCode, 206);
+    assert.deepStrictEqual(output.headers, { 'content-range': 'bytes 0-9/10' });
+    assert.strictEqual(await collect(output), '0123456789');
+    assert.deepStrictEqual(offsets, [4]);
+});
+
+test('an upstream that ends before the requested end is reopened', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    const offsets = [];
+
+    const output = resumableStream(upstream('34'), async (offset) => {
+        offsets.push(offset);
+        return upstream('5678');
+    }, { start: 3, end: 8 });
+
+    assert.strictEqual(await collect(output), '345678');
+    assert.deepStrictEqual(offsets, [5]);
+});
+
+test('the output fails once the retries are used up', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+
+    const output = resumableStream(upstream('01', new Error('socket hang up')), async () => {
+        throw new Error('Drive unavailable');
+    }, { start: 0, end: 9 });
+
+    await assert.rejects(collect(output), /Drive unavailable/);
+});
+
+test('an upstream closed on our side is not reopened', async () => {
+    const source = new PassThrough();
+    let reopened = false;
+
+    const output = resumableStream(source, async () => {
+        reopened = true;
+        return upstream('');
+    }, { start: 0, end: 9, label: 'Drive' });
+
+    source.stalled = true;
+    source.destroy();
+
+    await assert.rejects(collect(output), /Drive dropped while the viewer was not reading at byte 0/);
+    assert.strictEqual(reopened, false);
+});
+
+test('the viewer going away destroys the upstream', async () => {
+    const source = new PassThrough();
+    const output = resumableStream(source, async () => upstream(''), { start: 0, end: null });
+
+    output.destroy();
+    await once(source, 'close');
+    assert.strictEqual(source.destroyed, true);
+});